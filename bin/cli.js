@@ -6,9 +6,15 @@ if (process.version.match(/v(\d+)\./)[1] < 6) {
     'commit-and-tag-version: Node v6 or greater is required. `commit-and-tag-version` did not run.',
   );
 } else {
+  // nothing to release, see `--skip-if-no-changes`
+  const NO_CHANGES_EXIT_CODE = 3;
   const standardVersion = require('../index');
   const cmdParser = require('../command');
-  standardVersion(cmdParser.argv).catch(() => {
-    process.exit(1);
-  });
+  standardVersion(cmdParser.argv)
+    .then((result) => {
+      if (result && result.skipped) process.exit(NO_CHANGES_EXIT_CODE);
+    })
+    .catch(() => {
+      process.exit(1);
+    });
 }
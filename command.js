@@ -94,6 +94,11 @@ const yargs = require('yargs')
       'Provide scripts to execute for lifecycle events (prebump, precommit, etc.,)',
     default: defaults.scripts,
   })
+  .option('bump-rules', {
+    describe:
+      'Map of commit types (e.g. perf or deps(scope=security)) to the release they make: major, minor, patch or none',
+    default: defaults.bumpRules,
+  })
   .option('skip', {
     describe: 'Map of steps in the release process that should be skipped',
     default: defaults.skip,
@@ -132,11 +137,41 @@ const yargs = require('yargs')
     default: defaults.npmPublishHint,
     describe: 'Customized publishing hint',
   })
+  .option('consistency-check', {
+    type: 'string',
+    choices: ['warn', 'strict'],
+    default: defaults.consistencyCheck,
+    describe:
+      'Check that all bumpFiles share the current version before bumping, warning about or aborting on any mismatch',
+  })
+  .option('fail-on-skipped-files', {
+    type: 'boolean',
+    default: defaults.failOnSkippedFiles,
+    describe:
+      'Fail the release if any of the bumpFiles is missing, gitignored or could not be bumped',
+  })
+  .option('skip-if-no-changes', {
+    type: 'boolean',
+    default: defaults.skipIfNoChanges,
+    describe:
+      'Skip the release, exiting with code 3, if no commits since the last release would appear in the changelog or call for a release',
+  })
+  .option('version-scheme', {
+    type: 'string',
+    default: defaults.versionScheme,
+    describe:
+      'How versions are numbered: semver, calver (YYYY.MM.MICRO) versions following the release date, or the path to a custom version scheme module',
+  })
   .check((argv) => {
     if (typeof argv.scripts !== 'object' || Array.isArray(argv.scripts)) {
       throw Error('scripts must be an object');
     } else if (typeof argv.skip !== 'object' || Array.isArray(argv.skip)) {
       throw Error('skip must be an object');
+    } else if (
+      typeof argv.bumpRules !== 'object' ||
+      Array.isArray(argv.bumpRules)
+    ) {
+      throw Error('bumpRules must be an object');
     } else {
       return true;
     }
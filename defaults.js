@@ -17,6 +17,11 @@ const defaults = {
   gitTagFallback: true,
   preset: require.resolve('conventional-changelog-conventionalcommits'),
   npmPublishHint: undefined,
+  consistencyCheck: undefined,
+  failOnSkippedFiles: false,
+  versionScheme: 'semver',
+  bumpRules: {},
+  skipIfNoChanges: false,
 };
 
 /**
@@ -1,12 +1,18 @@
 const bump = require('./lib/lifecycles/bump');
 const changelog = require('./lib/lifecycles/changelog');
+const checkChanges = require('./lib/check-changes');
+const checkConsistency = require('./lib/check-consistency');
 const commit = require('./lib/lifecycles/commit');
 const fs = require('fs');
 const latestSemverTag = require('./lib/latest-semver-tag');
 const path = require('path');
 const printError = require('./lib/print-error');
 const tag = require('./lib/lifecycles/tag');
-const { resolveUpdaterObjectFromArgument } = require('./lib/updaters');
+const { resolveVersionScheme } = require('./lib/version-schemes');
+const {
+  expandFilePatterns,
+  resolveUpdaterObjectFromArgument,
+} = require('./lib/updaters');
 
 module.exports = async function standardVersion(argv) {
   const defaults = require('./defaults');
@@ -55,22 +61,29 @@ module.exports = async function standardVersion(argv) {
 
   const args = Object.assign({}, defaults, argv);
   let pkg;
-  for (const packageFile of args.packageFiles) {
+  for (const packageFile of expandFilePatterns(args.packageFiles)) {
     const updater = resolveUpdaterObjectFromArgument(packageFile);
-    if (!updater) return;
+    if (!updater) continue;
     const pkgPath = path.resolve(process.cwd(), updater.filename);
     try {
       const contents = fs.readFileSync(pkgPath, 'utf8');
       pkg = {
-        version: updater.updater.readVersion(contents),
+        version: await updater.updater.readVersion(contents, updater),
         private:
           typeof updater.updater.isPrivate === 'function'
-            ? updater.updater.isPrivate(contents)
+            ? await updater.updater.isPrivate(contents)
             : false,
       };
       break;
     } catch (err) {
-      /* This probably shouldn't be empty? */
+      // fall back to the next packageFile
+      if (err.code !== 'ENOENT') {
+        printError(
+          args,
+          `Unable to read the version from ${updater.filename}: ${err.message}`,
+          { level: 'warn', color: 'yellow' },
+        );
+      }
     }
   }
   try {
@@ -78,15 +91,29 @@ module.exports = async function standardVersion(argv) {
     if (pkg && pkg.version) {
       version = pkg.version;
     } else if (args.gitTagFallback) {
-      version = await latestSemverTag(args.tagPrefix);
+      version = await latestSemverTag(
+        args.tagPrefix,
+        resolveVersionScheme(args.versionScheme),
+      );
     } else {
       throw new Error('no package file found');
     }
 
+    const skipped = await checkChanges(args);
+    if (skipped) {
+      return { previousVersion: version, version, files: [], skipped };
+    }
+
+    await checkConsistency(args, version);
     const newVersion = await bump(args, version);
     await changelog(args, newVersion);
     await commit(args, newVersion);
     await tag(newVersion, pkg ? pkg.private : false, args);
+    return {
+      previousVersion: version,
+      version: newVersion,
+      files: bump.getFileStatuses(),
+    };
   } catch (err) {
     printError(args, err.message);
     throw err;
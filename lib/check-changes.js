@@ -0,0 +1,38 @@
+const chalk = require('chalk');
+const checkpoint = require('./checkpoint');
+const figures = require('figures');
+const presetLoader = require('./preset-loader');
+const { releasableCommits } = require('./recommended-bump');
+
+/**
+ * Looks for commits since the last release that would appear in the changelog
+ * or call for a release, and explains why the release is skipped if there are
+ * none. Only runs with `skipIfNoChanges`, and not when a version is given with
+ * `releaseAs`.
+ *
+ * @return {Promise<string|undefined>} the reason to skip the release, if any.
+ */
+module.exports = async function checkChanges(args) {
+  if (!args.skipIfNoChanges || args.releaseAs) return;
+  const found = await releasableCommits(args, presetLoader(args));
+  if (!found || found.releasable.length) return;
+
+  let reason = 'there are no commits since the last release';
+  if (found.commits.length) {
+    const types = [
+      ...new Set(found.commits.map((commit) => commit.type || 'untyped')),
+    ];
+    reason = `none of the ${
+      found.commits.length
+    } commits since the last release (${types.join(
+      ', ',
+    )}) would appear in the changelog or call for a release`;
+  }
+  checkpoint(
+    args,
+    'skipping release: %s',
+    [reason],
+    chalk.yellow(figures.info),
+  );
+  return reason;
+};
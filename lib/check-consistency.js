@@ -0,0 +1,78 @@
+const DotGitignore = require('dotgitignore');
+const fs = require('fs');
+const path = require('path');
+const printError = require('./print-error');
+const { resolveVersionScheme } = require('./version-schemes');
+const {
+  expandFilePatterns,
+  resolveUpdaterObjectFromArgument,
+} = require('./updaters');
+
+/**
+ * Whether a file records `version`. Some files only hold part of it, e.g. the
+ * `major.minor.patch` of a prerelease in `CMakeLists.txt`, so the version read
+ * is compared with what the updater would read after writing `version`.
+ */
+async function recordsVersion(updater, contents, found, version, context) {
+  if (found === version) return true;
+  try {
+    const written = await updater.updater.writeVersion(
+      contents,
+      version,
+      updater,
+      context,
+    );
+    return (
+      found === (await updater.updater.readVersion(written, updater, context))
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Reads the version of every `bumpFiles` entry before bumping, and reports the
+ * files that drifted away from the current version: `warn` prints them, while
+ * `strict` aborts the release.
+ *
+ * Files that can't be read are left for the bump step to report.
+ */
+module.exports = async function checkConsistency(args, version) {
+  if (!args.consistencyCheck || args.skip.bump) return;
+  const dotgit = DotGitignore();
+  const mismatches = [];
+  const context = {
+    previousVersion: version,
+    version,
+    versionScheme: resolveVersionScheme(args.versionScheme),
+  };
+
+  for (const bumpFile of expandFilePatterns(args.bumpFiles)) {
+    const updater = resolveUpdaterObjectFromArgument(bumpFile);
+    if (!updater || dotgit.ignore(updater.filename)) continue;
+    const configPath = path.resolve(process.cwd(), updater.filename);
+    try {
+      if (!fs.lstatSync(configPath).isFile()) continue;
+      const contents = fs.readFileSync(configPath, 'utf8');
+      const found = await updater.updater.readVersion(
+        contents,
+        updater,
+        context,
+      );
+      if (!(await recordsVersion(updater, contents, found, version, context))) {
+        mismatches.push(`${updater.filename}: ${found}`);
+      }
+    } catch (err) {
+      continue;
+    }
+  }
+
+  if (!mismatches.length) return;
+  const message = `The version of some bumpFiles differs from the current version (${version}):\n  ${mismatches.join(
+    '\n  ',
+  )}`;
+  if (args.consistencyCheck === 'strict') {
+    throw new Error(message);
+  }
+  printError(args, message, { level: 'warn', color: 'yellow' });
+};
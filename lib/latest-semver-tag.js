@@ -1,19 +1,81 @@
 const gitSemverTags = require('git-semver-tags');
-const semver = require('semver');
+const { promisify } = require('util');
+const {
+  isSemverCompatible,
+  resolveVersionScheme,
+} = require('./version-schemes');
 
-module.exports = function (tagPrefix = undefined) {
+const execFile = promisify(require('child_process').execFile);
+
+function listSemverTags(tagPrefix) {
   return new Promise((resolve, reject) => {
     gitSemverTags({ tagPrefix }, function (err, tags) {
       if (err) return reject(err);
-      else if (!tags.length) return resolve('1.0.0');
-      // Respect tagPrefix
-      tags = tags.map((tag) => tag.replace(new RegExp('^' + tagPrefix), ''));
-      // ensure that the largest semver tag is at the head.
-      tags = tags.map((tag) => {
-        return semver.clean(tag);
-      });
-      tags.sort(semver.rcompare);
-      return resolve(tags[0]);
+      else return resolve(tags);
     });
   });
+}
+
+/**
+ * Lists the tags reachable from HEAD, for schemes whose versions aren't
+ * semver versions.
+ */
+async function listMergedTags(tagPrefix = '') {
+  const { stdout } = await execFile('git', [
+    'tag',
+    '--merged',
+    'HEAD',
+    '--list',
+    `${tagPrefix}*`,
+  ]);
+  return stdout.split('\n').filter(Boolean);
+}
+
+/**
+ * Lists the versions of the release tags, greatest first, along with the
+ * tag they were read from.
+ * @return {Promise<{tag: string, version: string}[]>}
+ */
+async function listVersionTags(tagPrefix, scheme) {
+  const tags = isSemverCompatible(scheme)
+    ? await listSemverTags(tagPrefix)
+    : await listMergedTags(tagPrefix);
+  return (
+    tags
+      .map((tag) => ({
+        tag,
+        // Respect tagPrefix
+        parsed: scheme.parse(
+          tag.replace(new RegExp('^' + tagPrefix), '').trim(),
+        ),
+      }))
+      .filter(({ parsed }) => parsed)
+      .map(({ tag, parsed }) => ({ tag, version: scheme.format(parsed) }))
+      // ensure that the largest version tag is at the head.
+      .sort((a, b) => scheme.compare(b.version, a.version))
+  );
+}
+
+module.exports = async function (
+  tagPrefix = undefined,
+  scheme = resolveVersionScheme(),
+) {
+  const tags = await listVersionTags(tagPrefix, scheme);
+  if (!tags.length) return scheme.initialVersion || '1.0.0';
+  return tags[0].version;
+};
+
+/**
+ * The tag of the last release, for schemes whose versions aren't semver
+ * versions, which the conventional-changelog packages can't find on their
+ * own. `undefined` for semver schemes, or if nothing was released yet.
+ * @return {Promise<string|undefined>}
+ */
+module.exports.lastReleaseTag = async function (
+  tagPrefix = undefined,
+  scheme = resolveVersionScheme(),
+) {
+  if (isSemverCompatible(scheme)) return undefined;
+  const [last] = await listVersionTags(tagPrefix, scheme);
+  return last && last.tag;
 };
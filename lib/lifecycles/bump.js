@@ -2,34 +2,54 @@
 
 const chalk = require('chalk');
 const checkpoint = require('../checkpoint');
-const conventionalRecommendedBump = require('conventional-recommended-bump');
 const figures = require('figures');
 const fs = require('fs');
 const DotGitignore = require('dotgitignore');
 const path = require('path');
 const presetLoader = require('../preset-loader');
+const {
+  loadPresetConfig,
+  recommendBump,
+  withBumpRules,
+  withReleaseAsFooters,
+} = require('../recommended-bump');
+const runExecFile = require('../run-execFile');
 const runLifecycleScript = require('../run-lifecycle-script');
-const semver = require('semver');
 const writeFile = require('../write-file');
-const { resolveUpdaterObjectFromArgument } = require('../updaters');
+const { resolveVersionScheme } = require('../version-schemes');
+const {
+  expandFilePatterns,
+  resolveUpdaterObjectFromArgument,
+} = require('../updaters');
+// missing or gitignored default `bumpFiles` (e.g. `bower.json`) are expected
+const DEFAULT_BUMP_FILES = [...require('../../defaults').bumpFiles];
+const DEFAULT_RELEASE_TYPES = ['major', 'minor', 'patch'];
 let configsToUpdate = {};
+let fileStatuses = [];
 
 async function Bump(args, version) {
   // reset the cache of updated config files each
   // time we perform the version bump step.
   configsToUpdate = {};
+  fileStatuses = [];
 
   if (args.skip.bump) return version;
 
+  const scheme = resolveVersionScheme(args.versionScheme);
+  const releaseTypes = scheme.releaseTypes || DEFAULT_RELEASE_TYPES;
   if (
     args.releaseAs &&
     !(
-      ['major', 'minor', 'patch'].includes(args.releaseAs.toLowerCase()) ||
-      semver.valid(args.releaseAs)
+      releaseTypes.includes(args.releaseAs.toLowerCase()) ||
+      scheme.parse(args.releaseAs)
     )
   ) {
     throw new Error(
-      "releaseAs must be one of 'major', 'minor' or 'patch', or a valid semvar version.",
+      releaseTypes.length
+        ? `releaseAs must be one of ${releaseTypes
+            .map((type) => `'${type}'`)
+            .join(', ')}, or a valid version.`
+        : `releaseAs must be a valid version with ${args.versionScheme}.`,
     );
   }
 
@@ -38,51 +58,32 @@ async function Bump(args, version) {
   const stdout = await runLifecycleScript(args, 'prebump');
   if (stdout?.trim().length) {
     const prebumpString = stdout.trim();
-    if (semver.valid(prebumpString)) args.releaseAs = prebumpString;
+    if (scheme.parse(prebumpString)) args.releaseAs = prebumpString;
   }
   if (!args.firstRelease) {
-    if (semver.valid(args.releaseAs)) {
-      const releaseAs = new semver.SemVer(args.releaseAs);
-      if (
-        isString(args.prerelease) &&
-        releaseAs.prerelease.length &&
-        releaseAs.prerelease.slice(0, -1).join('.') !== args.prerelease
-      ) {
-        // If both releaseAs and the prerelease identifier are supplied, they must match. The behavior
-        // for a mismatch is undefined, so error out instead.
-        throw new Error(
-          'releaseAs and prerelease have conflicting prerelease identifiers',
-        );
-      } else if (isString(args.prerelease) && releaseAs.prerelease.length) {
-        newVersion = releaseAs.version;
-      } else if (isString(args.prerelease)) {
-        newVersion = `${releaseAs.major}.${releaseAs.minor}.${releaseAs.patch}-${args.prerelease}.0`;
-      } else {
-        newVersion = releaseAs.version;
-      }
-
-      // Check if the previous version is the same version and prerelease, and increment if so
-      if (
-        isString(args.prerelease) &&
-        ['prerelease', null].includes(semver.diff(version, newVersion)) &&
-        semver.lte(newVersion, version)
-      ) {
-        newVersion = semver.inc(version, 'prerelease', args.prerelease);
-      }
-
-      // Append any build info from releaseAs
-      newVersion = semvarToVersionStr(newVersion, releaseAs.build);
-    } else {
-      const release = await bumpVersion(args.releaseAs, version, args);
-      const releaseType = getReleaseType(
-        args.prerelease,
-        release.releaseType,
+    // `release` is either an explicit version or a release type, which is
+    // recommended from the commits unless given or unused by the scheme, or
+    // the version of their `Release-As` footers
+    let release = args.releaseAs;
+    const isExplicitVersion = release && scheme.parse(release);
+    if (!isExplicitVersion) {
+      const recommendation = await bumpVersion(
+        args.releaseAs,
         version,
+        args,
+        scheme,
       );
-
-      newVersion = semver.inc(version, releaseType, args.prerelease);
+      release = recommendation.releaseAs || recommendation.releaseType;
     }
-    updateConfigs(args, newVersion);
+    newVersion = scheme.increment(version, release, {
+      prerelease: args.prerelease,
+      date: new Date(),
+    });
+    await updateConfigs(
+      args,
+      newVersion,
+      await releaseContext(args, version, newVersion, scheme),
+    );
   } else {
     checkpoint(
       args,
@@ -100,147 +101,252 @@ Bump.getUpdatedConfigs = function () {
 };
 
 /**
- * Convert a semver object to a full version string including build metadata
- * @param {string} semverVersion The semvar version string
- * @param {string[]} semverBuild An array of the build metadata elements, to be joined with '.'
- * @returns {string}
+ * Lists what happened to each of the `bumpFiles` during the last bump: its
+ * `status` is one of `bumped`, `gitignored`, `missing`, `unresolved` (no
+ * updater could be found for it) or `failed` (see `error`).
+ * @return {{filename: string, status: string, from?: string, to?: string, error?: string}[]}
  */
-function semvarToVersionStr(semverVersion, semverBuild) {
-  return [semverVersion, semverBuild.join('.')].filter(Boolean).join('+');
-}
+Bump.getFileStatuses = function () {
+  return fileStatuses;
+};
 
-function getReleaseType(prerelease, expectedReleaseType, currentVersion) {
-  if (isString(prerelease)) {
-    if (isInPrerelease(currentVersion)) {
-      if (
-        shouldContinuePrerelease(currentVersion, expectedReleaseType) ||
-        getTypePriority(getCurrentActiveType(currentVersion)) >
-          getTypePriority(expectedReleaseType)
-      ) {
-        return 'prerelease';
-      }
+async function bumpVersion(releaseAs, currentVersion, args, scheme) {
+  if (releaseAs) {
+    return {
+      releaseType: releaseAs,
+    };
+  }
+  const presetOptions = presetLoader(args);
+  if (typeof presetOptions === 'object') {
+    if (scheme.preMajor && scheme.preMajor(currentVersion)) {
+      presetOptions.preMajor = true;
     }
-
-    return 'pre' + expectedReleaseType;
-  } else {
-    return expectedReleaseType;
   }
-}
-
-function isString(val) {
-  return typeof val === 'string';
+  const presetConfig = await loadPresetConfig(presetOptions);
+  // schemes without release types only look for `Release-As` footers
+  const config = withReleaseAsFooters(
+    (scheme.releaseTypes || DEFAULT_RELEASE_TYPES).length
+      ? withBumpRules(presetConfig, {
+          bumpRules: args.bumpRules,
+          whatBump: args.whatBump,
+          preMajor: presetOptions.preMajor,
+        })
+      : {
+          ...presetConfig,
+          recommendedBumpOpts: {
+            ...presetConfig.recommendedBumpOpts,
+            whatBump: () => null,
+          },
+        },
+  );
+  const release = await recommendBump(args, config);
+  return applyReleaseAsFooters(args, release, scheme);
 }
 
 /**
- * if a version is currently in pre-release state,
- * and if it current in-pre-release type is same as expect type,
- * it should continue the pre-release with the same type
- *
- * @param version
- * @param expectType
- * @return {boolean}
+ * Pins the release to the version of the `Release-As` footers found in the
+ * commits since the last release, which must all agree.
  */
-function shouldContinuePrerelease(version, expectType) {
-  return getCurrentActiveType(version) === expectType;
-}
+function applyReleaseAsFooters(args, release, scheme) {
+  const footers = release.releaseAsFooters || [];
+  if (!footers.length) return release;
+  const describe = ({ version, hash }) => `${version} (${hash.slice(0, 7)})`;
 
-function isInPrerelease(version) {
-  return Array.isArray(semver.prerelease(version));
+  if (footers.some(({ version }) => version !== footers[0].version)) {
+    throw new Error(
+      `Conflicting Release-As footers since the last release: ${footers
+        .map(describe)
+        .join(', ')}`,
+    );
+  }
+  // commits are listed newest first
+  const [{ version, hash }] = footers;
+  if (!scheme.parse(version)) {
+    throw new Error(
+      `Invalid version in the Release-As footer of commit ${hash.slice(
+        0,
+        7,
+      )}: ${version}`,
+    );
+  }
+  checkpoint(args, 'releasing %s as set by the Release-As footer of %s', [
+    version,
+    hash.slice(0, 7),
+  ]);
+  return { ...release, releaseAs: version };
 }
 
-const TypeList = ['major', 'minor', 'patch'].reverse();
-
 /**
- * extract the in-pre-release type in target version
- *
- * @param version
- * @return {string}
+ * Describes the release being made to the updaters, for files that record more
+ * than the version (e.g. a release date).
+ * @param args config object
+ * @param previousVersion version number being updated from.
+ * @param newVersion version number to update to.
+ * @param versionScheme the version scheme in use, see `resolveVersionScheme`.
+ * @return {Promise<{tag: string, date: string, previousVersion: string, version: string, commit: string|undefined, versionScheme: object, packages: string[]}>}
  */
-function getCurrentActiveType(version) {
-  const typelist = TypeList;
-  for (let i = 0; i < typelist.length; i++) {
-    if (semver[typelist[i]](version)) {
-      return typelist[i];
-    }
+async function releaseContext(
+  args,
+  previousVersion,
+  newVersion,
+  versionScheme,
+) {
+  let commit;
+  try {
+    // the release commit is yet to be made, so this is the commit it follows
+    commit = await runExecFile({ silent: true }, 'git', ['rev-parse', 'HEAD']);
+  } catch (err) {
+    // not a git repository, or one without commits yet
   }
+  return {
+    tag: args.tagPrefix + newVersion,
+    date: new Date().toISOString().slice(0, 10),
+    previousVersion,
+    version: newVersion,
+    commit: commit ? commit.trim() : undefined,
+    versionScheme,
+    packages: lockstepPackages(args.bumpFiles, previousVersion),
+  };
 }
 
 /**
- * calculate the priority of release type,
- * major - 2, minor - 1, patch - 0
- *
- * @param type
- * @return {number}
+ * Lists the names of the `package.json` files among the `bumpFiles` that are
+ * released in lockstep, i.e. that hold the previous version, so that the
+ * dependency ranges pointing at them are moved along in the other ones.
  */
-function getTypePriority(type) {
-  return TypeList.indexOf(type);
+function lockstepPackages(bumpFiles, previousVersion) {
+  return expandFilePatterns(bumpFiles)
+    .filter(
+      (bumpFile) =>
+        typeof bumpFile !== 'object' || (!bumpFile.path && !bumpFile.updater),
+    )
+    .map((bumpFile) =>
+      typeof bumpFile === 'object' ? bumpFile.filename : bumpFile,
+    )
+    .filter(
+      (filename) =>
+        typeof filename === 'string' &&
+        path.basename(filename) === 'package.json',
+    )
+    .flatMap((filename) => {
+      try {
+        const { name, version } = JSON.parse(
+          fs.readFileSync(path.resolve(process.cwd(), filename), 'utf8'),
+        );
+        return name && version === previousVersion ? [name] : [];
+      } catch (err) {
+        // missing or invalid files are reported when bumping them
+        return [];
+      }
+    });
 }
 
-function bumpVersion(releaseAs, currentVersion, args) {
-  return new Promise((resolve, reject) => {
-    if (releaseAs) {
-      return resolve({
-        releaseType: releaseAs,
-      });
-    } else {
-      const presetOptions = presetLoader(args);
-      if (typeof presetOptions === 'object') {
-        if (semver.lt(currentVersion, '1.0.0')) presetOptions.preMajor = true;
-      }
-      conventionalRecommendedBump(
-        {
-          debug:
-            args.verbose &&
-            console.info.bind(console, 'conventional-recommended-bump'),
-          preset: presetOptions,
-          path: args.path,
-          tagPrefix: args.tagPrefix,
-          lernaPackage: args.lernaPackage,
-        },
-        args.parserOpts,
-        function (err, release) {
-          if (err) return reject(err);
-          else return resolve(release);
-        },
-      );
-    }
+function isExpectedSkip({ filename, status }) {
+  return (
+    ['missing', 'gitignored'].includes(status) &&
+    DEFAULT_BUMP_FILES.includes(filename)
+  );
+}
+
+/**
+ * Reports the `bumpFiles` that weren't bumped, failing the release when
+ * `failOnSkippedFiles` is set.
+ */
+function reportSkippedFiles(args) {
+  const skipped = fileStatuses.filter(
+    (file) => file.status !== 'bumped' && !isExpectedSkip(file),
+  );
+  skipped.forEach(({ filename, status, error }) => {
+    checkpoint(
+      args,
+      'skipped %s (%s)',
+      [filename, error ? `${status}: ${error}` : status],
+      chalk.yellow(figures.warning),
+    );
   });
+  if (skipped.length && args.failOnSkippedFiles) {
+    throw new Error(
+      `Failed to bump ${skipped
+        .map(({ filename, status }) => `${filename} (${status})`)
+        .join(', ')}`,
+    );
+  }
 }
 
 /**
  * attempt to update the version number in provided `bumpFiles`
  * @param args config object
  * @param newVersion version number to update to.
- * @return void
+ * @param context the release being made, see `releaseContext`.
+ * @return {Promise<void>}
  */
-function updateConfigs(args, newVersion) {
+async function updateConfigs(args, newVersion, context) {
   const dotgit = DotGitignore();
-  args.bumpFiles.forEach(function (bumpFile) {
-    const updater = resolveUpdaterObjectFromArgument(bumpFile);
+  const updates = [];
+  // updaters may be async, bump the files one at a time in the order given
+  for (const bumpFile of expandFilePatterns(args.bumpFiles)) {
+    let error;
+    const updater = resolveUpdaterObjectFromArgument(bumpFile, (err) => {
+      error = err.message;
+    });
     if (!updater) {
-      return;
+      fileStatuses.push({
+        filename: bumpFile.filename || bumpFile,
+        status: 'unresolved',
+        error,
+      });
+      continue;
     }
-    const configPath = path.resolve(process.cwd(), updater.filename);
+    const { filename } = updater;
+    const configPath = path.resolve(process.cwd(), filename);
     try {
-      if (dotgit.ignore(updater.filename)) return;
+      if (dotgit.ignore(filename)) {
+        fileStatuses.push({ filename, status: 'gitignored' });
+        continue;
+      }
       const stat = fs.lstatSync(configPath);
 
-      if (!stat.isFile()) return;
+      if (!stat.isFile()) {
+        fileStatuses.push({ filename, status: 'missing' });
+        continue;
+      }
       const contents = fs.readFileSync(configPath, 'utf8');
-      const newContents = updater.updater.writeVersion(contents, newVersion);
-      const realNewVersion = updater.updater.readVersion(newContents);
-      checkpoint(
-        args,
-        'bumping version in ' + updater.filename + ' from %s to %s',
-        [updater.updater.readVersion(contents), realNewVersion],
+      const newContents = await updater.updater.writeVersion(
+        contents,
+        newVersion,
+        updater,
+        context,
       );
-      writeFile(args, configPath, newContents);
-      // flag any config files that we modify the version # for
-      // as having been updated.
-      configsToUpdate[updater.filename] = true;
+      const status = {
+        filename,
+        status: 'bumped',
+        from: await updater.updater.readVersion(contents, updater, context),
+        to: await updater.updater.readVersion(newContents, updater, context),
+      };
+      fileStatuses.push(status);
+      updates.push({ status, configPath, newContents });
     } catch (err) {
-      if (err.code !== 'ENOENT') console.warn(err.message);
+      if (err.code === 'ENOENT') {
+        fileStatuses.push({ filename, status: 'missing' });
+        continue;
+      }
+      if (updater.updater.strict || err.code === 'EFORMATLOST') throw err;
+      fileStatuses.push({ filename, status: 'failed', error: err.message });
     }
+  }
+
+  // nothing is written if the release is going to fail
+  reportSkippedFiles(args);
+  updates.forEach(({ status, configPath, newContents }) => {
+    checkpoint(
+      args,
+      'bumping version in ' + status.filename + ' from %s to %s',
+      [status.from, status.to],
+    );
+    writeFile(args, configPath, newContents);
+    // flag any config files that we modify the version # for
+    // as having been updated.
+    configsToUpdate[status.filename] = true;
   });
 }
 
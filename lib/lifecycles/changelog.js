@@ -2,8 +2,10 @@ const chalk = require('chalk');
 const checkpoint = require('../checkpoint');
 const conventionalChangelog = require('conventional-changelog');
 const fs = require('fs');
+const { lastReleaseTag } = require('../latest-semver-tag');
 const presetLoader = require('../preset-loader');
 const runLifecycleScript = require('../run-lifecycle-script');
+const { resolveVersionScheme } = require('../version-schemes');
 const writeFile = require('../write-file');
 const START_OF_LAST_RELEASE_PATTERN =
   /(^#+ \[?[0-9]+\.[0-9]+\.[0-9]+|<a name=)/m;
@@ -40,7 +42,26 @@ function extractChangelogBody(oldContent) {
     : oldContent;
 }
 
-function outputChangelog(args, newVersion) {
+/**
+ * Limits the changelog to the commits since the tag of the last release, and
+ * compares the release to that tag, for schemes whose tags the
+ * conventional-changelog packages can't find on their own.
+ */
+async function releaseRange(args, newVersion) {
+  if (args.releaseCount !== 1) return {};
+  const from = await lastReleaseTag(
+    args.tagPrefix,
+    resolveVersionScheme(args.versionScheme),
+  );
+  if (!from) return {};
+  return {
+    context: { previousTag: from, currentTag: args.tagPrefix + newVersion },
+    gitRawCommitsOpts: { from },
+  };
+}
+
+async function outputChangelog(args, newVersion) {
+  const range = await releaseRange(args, newVersion);
   return new Promise((resolve, reject) => {
     createIfMissing(args);
     const header = args.header;
@@ -55,7 +76,7 @@ function outputChangelog(args, newVersion) {
     const changelogFrontMatter = extractFrontMatter(oldContent);
 
     let content = '';
-    const context = { version: newVersion };
+    const context = { version: newVersion, ...range.context };
     const changelogStream = conventionalChangelog(
       {
         debug:
@@ -65,7 +86,12 @@ function outputChangelog(args, newVersion) {
         releaseCount: args.releaseCount,
       },
       context,
-      { merges: null, path: args.path, showSignature: false },
+      {
+        merges: null,
+        path: args.path,
+        showSignature: false,
+        ...range.gitRawCommitsOpts,
+      },
       args.parserOpts,
       args.writerOpts,
     ).on('error', function (err) {
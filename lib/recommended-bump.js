@@ -0,0 +1,271 @@
+const conventionalChangelogPresetLoader = require('conventional-changelog-preset-loader');
+const conventionalRecommendedBump = require('conventional-recommended-bump');
+const { lastReleaseTag } = require('./latest-semver-tag');
+const { promisify } = require('util');
+const { resolveVersionScheme } = require('./version-schemes');
+
+const RELEASE_AS_FOOTER = /^Release-As:[ \t]*(\S+)[ \t]*$/gim;
+const BREAKING_HEADER = /^\w*(?:\(.*\))?!: /;
+const BUMP_RULE_KEY = /^([^\s()]+)(?:\(scope=([^)]+)\))?$/;
+const LEVELS = { major: 0, minor: 1, patch: 2 };
+const RELEASE_TYPES = ['major', 'minor', 'patch'];
+
+/**
+ * Loads the config of a preset the way `conventional-recommended-bump` does,
+ * so that its `whatBump` can be extended.
+ */
+async function loadPresetConfig(preset) {
+  let presetPackage;
+  try {
+    presetPackage = conventionalChangelogPresetLoader(preset);
+  } catch (err) {
+    if (err.message !== 'does not exist') throw err;
+    const name = typeof preset === 'object' ? preset.name : preset;
+    throw new Error(
+      `Unable to load the "${name}" preset package. Please make sure it's installed.`,
+    );
+  }
+  // presets are node-style callbacks, promises or plain objects
+  return typeof presetPackage === 'function'
+    ? promisify(presetPackage)()
+    : presetPackage;
+}
+
+/**
+ * Runs `conventional-recommended-bump` on the commits since the last release,
+ * with the given preset config. Errors thrown by `whatBump` reject the
+ * promise, rather than being thrown from the stream of commits.
+ */
+async function recommendBump(args, config) {
+  const from = await lastReleaseTag(
+    args.tagPrefix,
+    resolveVersionScheme(args.versionScheme),
+  );
+  const recommendedBumpOpts = config.recommendedBumpOpts || {};
+  const { whatBump } = recommendedBumpOpts;
+  let whatBumpError;
+  return new Promise((resolve, reject) => {
+    conventionalRecommendedBump(
+      {
+        debug:
+          args.verbose &&
+          console.info.bind(console, 'conventional-recommended-bump'),
+        config: whatBump
+          ? {
+              ...config,
+              recommendedBumpOpts: {
+                ...recommendedBumpOpts,
+                whatBump: (commits, options) => {
+                  try {
+                    return whatBump(commits, options);
+                  } catch (err) {
+                    whatBumpError = err;
+                    return null;
+                  }
+                },
+              },
+            }
+          : config,
+        path: args.path,
+        tagPrefix: args.tagPrefix,
+        lernaPackage: args.lernaPackage,
+        gitRawCommitsOpts: from ? { from } : {},
+      },
+      args.parserOpts,
+      function (err, release) {
+        if (err || whatBumpError) return reject(err || whatBumpError);
+        else return resolve(release);
+      },
+    );
+  });
+}
+
+/**
+ * Lists the `Release-As: <version>` footers of the commits, newest first.
+ * @return {{version: string, hash: string}[]}
+ */
+function releaseAsFooters(commits) {
+  return commits.flatMap((commit) =>
+    [
+      ...[commit.body, commit.footer]
+        .filter(Boolean)
+        .join('\n')
+        .matchAll(RELEASE_AS_FOOTER),
+    ].map(([, version]) => ({ version, hash: commit.hash })),
+  );
+}
+
+/**
+ * Extends the `whatBump` of a preset config so that the recommendation also
+ * lists the `Release-As` footers found in the commits since the last release.
+ */
+function withReleaseAsFooters(config) {
+  const recommendedBumpOpts = config.recommendedBumpOpts || {};
+  const whatBump = recommendedBumpOpts.whatBump || (() => null);
+  return {
+    ...config,
+    recommendedBumpOpts: {
+      ...recommendedBumpOpts,
+      whatBump: (commits, options) => {
+        const footers = releaseAsFooters(commits);
+        const result = whatBump(commits, options);
+        if (!footers.length) return result;
+        return { ...result, releaseAsFooters: footers };
+      },
+    },
+  };
+}
+
+/**
+ * Compiles `bumpRules` such as `{ "perf": "minor", "deps(scope=security)":
+ * "patch", "docs": "none" }`, with the rules for a scope ahead of the rules
+ * for a whole commit type.
+ */
+function compileBumpRules(bumpRules = {}) {
+  return Object.entries(bumpRules)
+    .map(([key, release]) => {
+      const match = BUMP_RULE_KEY.exec(key);
+      if (!match) {
+        throw new Error(
+          `Invalid bump rule (${key}), expected a commit type such as feat or deps(scope=security)`,
+        );
+      }
+      if (release !== 'none' && !RELEASE_TYPES.includes(release)) {
+        throw new Error(
+          `Invalid release (${release}) for the ${key} bump rule, expected one of major, minor, patch or none`,
+        );
+      }
+      return { key, type: match[1], scope: match[2], release };
+    })
+    .sort(
+      (a, b) => Number(b.scope !== undefined) - Number(a.scope !== undefined),
+    );
+}
+
+function findBumpRule(rules, commit) {
+  return rules.find(
+    ({ type, scope }) =>
+      commit.type === type && (scope === undefined || commit.scope === scope),
+  );
+}
+
+function isBreaking(commit) {
+  return commit.notes.length > 0 || BREAKING_HEADER.test(commit.header || '');
+}
+
+/**
+ * Recommends a release from the bump rules matching the commits, leaving
+ * breaking changes and the commits no rule matches to the preset.
+ */
+function applyBumpRules(rules, commits, whatBump, options, preMajor) {
+  const presetCommits = [];
+  const ruled = [];
+  commits.forEach((commit) => {
+    const rule = !isBreaking(commit) && findBumpRule(rules, commit);
+    if (!rule) presetCommits.push(commit);
+    else if (rule.release !== 'none') ruled.push(rule);
+  });
+
+  if (!ruled.length) return whatBump(presetCommits, options);
+  const rule = ruled.reduce((highest, rule) =>
+    LEVELS[rule.release] < LEVELS[highest.release] ? rule : highest,
+  );
+  let level = LEVELS[rule.release];
+  if (preMajor && level < 2) level++;
+
+  const recommended = presetCommits.length
+    ? whatBump(presetCommits, options)
+    : null;
+  if (recommended && recommended.level != null && recommended.level <= level) {
+    return recommended;
+  }
+  return {
+    level,
+    reason: `The ${rule.key} bump rule asks for a ${rule.release} release`,
+  };
+}
+
+/**
+ * Overrides the `whatBump` of a preset config with the `bumpRules` and the
+ * `whatBump(commits, context)` hook of the configuration. The hook gets the
+ * recommendation of the preset (and bump rules) as `context.recommended`,
+ * and keeps it by returning `undefined` or `null`.
+ */
+function withBumpRules(config, { bumpRules, whatBump, preMajor }) {
+  const rules = compileBumpRules(bumpRules);
+  if (whatBump !== undefined && typeof whatBump !== 'function') {
+    throw new Error('whatBump must be a function');
+  }
+  if (!rules.length && !whatBump) return config;
+  const recommendedBumpOpts = config.recommendedBumpOpts || {};
+  const presetWhatBump = recommendedBumpOpts.whatBump || (() => null);
+
+  return {
+    ...config,
+    recommendedBumpOpts: {
+      ...recommendedBumpOpts,
+      whatBump: (commits, options) => {
+        const recommended = rules.length
+          ? applyBumpRules(rules, commits, presetWhatBump, options, preMajor)
+          : presetWhatBump(commits, options);
+        if (!whatBump) return recommended;
+        const result = whatBump(commits, { recommended, preMajor: !!preMajor });
+        if (result === undefined || result === null) return recommended;
+        if (![0, 1, 2].includes(result.level)) {
+          throw new Error(
+            `whatBump returned an invalid level (${result.level}), expected 0 (major), 1 (minor) or 2 (patch)`,
+          );
+        }
+        return result;
+      },
+    },
+  };
+}
+
+/**
+ * Whether a commit makes it into the changelog, as decided by the
+ * `writerOpts.transform` of the preset, which discards a commit by returning
+ * nothing. Commits with a `Release-As` footer are always released.
+ */
+function isInChangelog(commit, config) {
+  if (releaseAsFooters([commit]).length) return true;
+  const transform = config.writerOpts && config.writerOpts.transform;
+  if (typeof transform !== 'function') return true;
+  // transforms edit the commit they are given, e.g. to rename its type
+  return !!transform(structuredClone(commit), {});
+}
+
+/**
+ * Lists the commits since the last release that would appear in the
+ * changelog, or that a bump rule makes a release for.
+ * @return {Promise<{commits: object[], releasable: object[]}|undefined>}
+ *  `undefined` if the preset config doesn't let commits be analyzed.
+ */
+async function releasableCommits(args, presetOptions) {
+  const rules = compileBumpRules(args.bumpRules);
+  const config = await loadPresetConfig(presetOptions);
+  const release = await recommendBump(args, {
+    ...config,
+    recommendedBumpOpts: {
+      ...config.recommendedBumpOpts,
+      whatBump: (commits) => ({
+        commits,
+        releasable: commits.filter((commit) => {
+          const rule = findBumpRule(rules, commit);
+          return (
+            isInChangelog(commit, config) || (rule && rule.release !== 'none')
+          );
+        }),
+      }),
+    },
+  });
+  return release.commits ? release : undefined;
+}
+
+module.exports = {
+  loadPresetConfig,
+  recommendBump,
+  releasableCommits,
+  withBumpRules,
+  withReleaseAsFooters,
+};
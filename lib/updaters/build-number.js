@@ -0,0 +1,64 @@
+const semverScheme = require('../version-schemes/semver');
+const FORMULA_VARIABLES = /\b(major|minor|patch|prerelease)\b/g;
+
+/**
+ * Builds a function from a formula such as `major * 10000 + minor * 100 + patch`,
+ * which may only use arithmetic on numbers and the `major`, `minor`, `patch`
+ * and `prerelease` (the last numeric prerelease identifier) variables.
+ */
+function compileFormula(formula) {
+  if (!/^[\d\s+\-*/%().]*$/.test(formula.replace(FORMULA_VARIABLES, ''))) {
+    throw new Error(`Invalid build number formula: ${formula}`);
+  }
+  return new Function(
+    'major',
+    'minor',
+    'patch',
+    'prerelease',
+    `return (${formula});`,
+  );
+}
+
+/**
+ * Computes the build number that accompanies a new version, such as Android's
+ * `versionCode` or the build of a Flutter version.
+ *
+ * @param {number} current the build number of the previous release
+ * @param {string} version the new version
+ * @param {string|function|boolean} [strategy] `increment` (the default), a
+ *  formula (see `compileFormula`), a `(version, current) => number` function,
+ *  or `false` to keep the current build number
+ * @param {object} [scheme] the version scheme parsing `version` for formulas
+ * @return {number}
+ */
+module.exports.nextBuildNumber = function (
+  current,
+  version,
+  strategy = 'increment',
+  scheme = semverScheme,
+) {
+  let next;
+  if (strategy === false) {
+    next = current;
+  } else if (strategy === 'increment' || strategy === true) {
+    next = current + 1;
+  } else if (typeof strategy === 'function') {
+    next = strategy(version, current);
+  } else {
+    const parsed = scheme.parse(version);
+    if (!parsed) {
+      throw new Error(`Unable to compute a build number for ${version}`);
+    }
+    const prerelease = parsed.prerelease.filter(Number.isInteger).pop() || 0;
+    next = compileFormula(String(strategy))(
+      parsed.major,
+      parsed.minor,
+      parsed.patch,
+      prerelease,
+    );
+  }
+  if (!Number.isSafeInteger(next) || next < 0) {
+    throw new Error(`Invalid build number computed for ${version}: ${next}`);
+  }
+  return next;
+};
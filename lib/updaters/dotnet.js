@@ -0,0 +1,38 @@
+const semverScheme = require('../version-schemes/semver');
+
+function parse(version, scheme = semverScheme) {
+  const parsed = scheme.parse(version);
+  if (!parsed) {
+    throw new Error(`Unable to map ${version} to a .NET version`);
+  }
+  return parsed;
+}
+
+/**
+ * `AssemblyVersion` and `FileVersion` must be made of four numbers: the
+ * fourth one (the revision) is always `0`, prerelease and build metadata are
+ * dropped.
+ */
+module.exports.assemblyVersion = function (version, scheme) {
+  const { major, minor, patch } = parse(version, scheme);
+  return `${major}.${minor}.${patch}.0`;
+};
+
+/**
+ * Splits a version into the `VersionPrefix` (`major.minor.patch`) and
+ * `VersionSuffix` (the prerelease identifiers) MSBuild properties.
+ */
+module.exports.versionPrefixAndSuffix = function (version, scheme) {
+  const { major, minor, patch, prerelease } = parse(version, scheme);
+  return {
+    prefix: `${major}.${minor}.${patch}`,
+    suffix: prerelease.join('.'),
+  };
+};
+
+/**
+ * Reverses `assemblyVersion`, for files that only record four part versions.
+ */
+module.exports.fromAssemblyVersion = function (version) {
+  return version.split('.').slice(0, 3).join('.');
+};
@@ -1,3 +1,7 @@
+const DotGitignore = require('dotgitignore');
+const fastGlob = require('fast-glob');
+const findUp = require('find-up');
+const fs = require('fs');
 const path = require('path');
 const JSON_BUMP_FILES = require('../../defaults').bumpFiles;
 const updatersByType = {
@@ -6,20 +10,92 @@ const updatersByType = {
   maven: require('./types/maven'),
   gradle: require('./types/gradle'),
   csproj: require('./types/csproj'),
+  'assembly-info': require('./types/assembly-info'),
+  nuspec: require('./types/nuspec'),
   yaml: require('./types/yaml'),
+  'yarn-lock': require('./types/yarn-lock'),
+  'pnpm-lock': require('./types/pnpm-lock'),
+  helm: require('./types/helm'),
+  pubspec: require('./types/pubspec'),
+  cargo: require('./types/cargo'),
+  pyproject: require('./types/pyproject'),
+  'setup-cfg': require('./types/setup-cfg'),
+  python: require('./types/python'),
+  ruby: require('./types/ruby'),
+  mix: require('./types/mix'),
+  cmake: require('./types/cmake'),
+  regex: require('./types/regex'),
+  android: require('./types/android'),
+  xcode: require('./types/xcode'),
+  plist: require('./types/plist'),
+  cff: require('./types/cff'),
+  appstream: require('./types/appstream'),
 };
 const PLAIN_TEXT_BUMP_FILES = ['VERSION.txt', 'version.txt'];
+const CARGO_BUMP_FILES = ['Cargo.toml', 'Cargo.lock'];
+
+// the values an updater is expected to change: versions, build numbers, dates
+const VALUE_TOKEN = /\d[0-9A-Za-z.+-]*/g;
+
+/**
+ * Throws if `newContents` differs from `contents` in anything but the values
+ * of some of its lines, i.e. if writing the version reformatted the file.
+ */
+function assertFormattingPreserved(contents, newContents, filename) {
+  const lines = contents.split('\n');
+  const newLines = newContents.split('\n');
+  const changed =
+    lines.length !== newLines.length
+      ? Math.min(lines.length, newLines.length)
+      : lines.findIndex(
+          (line, i) =>
+            line.replace(VALUE_TOKEN, '#') !==
+            newLines[i].replace(VALUE_TOKEN, '#'),
+        );
+  if (changed !== -1) {
+    const err = new Error(
+      `Refusing to update ${filename}: writing the version would change more than the version (line ${
+        changed + 1
+      }).`,
+    );
+    err.code = 'EFORMATLOST';
+    throw err;
+  }
+}
+
+/**
+ * Updaters of structured formats (YAML, TOML) flag that they only rewrite
+ * version values with `preservesFormatting`, which is checked on every write.
+ */
+function formatPreserving(updater) {
+  return {
+    ...updater,
+    writeVersion(contents, version, options = {}, ...args) {
+      const newContents = updater.writeVersion(
+        contents,
+        version,
+        options,
+        ...args,
+      );
+      assertFormattingPreserved(contents, newContents, options.filename);
+      return newContents;
+    },
+  };
+}
 
 function getUpdaterByType(type) {
   const updater = updatersByType[type];
   if (!updater) {
     throw Error(`Unable to locate updater for provided type (${type}).`);
   }
-  return updater;
+  return updater.preservesFormatting ? formatPreserving(updater) : updater;
 }
 
 function getUpdaterByFilename(filename) {
-  if (JSON_BUMP_FILES.includes(path.basename(filename))) {
+  if (
+    JSON_BUMP_FILES.includes(path.basename(filename)) ||
+    path.basename(filename) === 'composer.json'
+  ) {
     return getUpdaterByType('json');
   }
   if (PLAIN_TEXT_BUMP_FILES.includes(filename)) {
@@ -28,12 +104,66 @@ function getUpdaterByFilename(filename) {
   if (/pom.xml/.test(filename)) {
     return getUpdaterByType('maven');
   }
-  if (/build.gradle/.test(filename)) {
+  if (/build.gradle/.test(filename) || filename.endsWith('gradle.properties')) {
     return getUpdaterByType('gradle');
   }
-  if (filename.endsWith('.csproj')) {
+  if (/\.(cs|fs|vb)proj$|\.props$/.test(filename)) {
     return getUpdaterByType('csproj');
   }
+  if (/AssemblyInfo\.(cs|fs|vb)$/.test(filename)) {
+    return getUpdaterByType('assembly-info');
+  }
+  if (filename.endsWith('.nuspec')) {
+    return getUpdaterByType('nuspec');
+  }
+  if (filename.endsWith('.pbxproj')) {
+    return getUpdaterByType('xcode');
+  }
+  if (filename.endsWith('Info.plist')) {
+    return getUpdaterByType('plist');
+  }
+  if (/\.(metainfo|appdata)\.xml$/.test(filename)) {
+    return getUpdaterByType('appstream');
+  }
+  if (path.basename(filename) === 'CITATION.cff') {
+    return getUpdaterByType('cff');
+  }
+  if (CARGO_BUMP_FILES.includes(path.basename(filename))) {
+    return getUpdaterByType('cargo');
+  }
+  if (path.basename(filename) === 'pyproject.toml') {
+    return getUpdaterByType('pyproject');
+  }
+  if (path.basename(filename) === 'setup.cfg') {
+    return getUpdaterByType('setup-cfg');
+  }
+  if (filename.endsWith('.py')) {
+    return getUpdaterByType('python');
+  }
+  if (
+    filename.endsWith('.gemspec') ||
+    path.basename(filename) === 'version.rb'
+  ) {
+    return getUpdaterByType('ruby');
+  }
+  if (path.basename(filename) === 'mix.exs') {
+    return getUpdaterByType('mix');
+  }
+  if (path.basename(filename) === 'CMakeLists.txt') {
+    return getUpdaterByType('cmake');
+  }
+  if (path.basename(filename) === 'yarn.lock') {
+    return getUpdaterByType('yarn-lock');
+  }
+  if (path.basename(filename) === 'pnpm-lock.yaml') {
+    return getUpdaterByType('pnpm-lock');
+  }
+  if (path.basename(filename) === 'pubspec.yaml') {
+    return getUpdaterByType('pubspec');
+  }
+  if (path.basename(filename) === 'Chart.yaml') {
+    return getUpdaterByType('helm');
+  }
   if (/\.ya?ml$/.test(filename)) {
     return getUpdaterByType('yaml');
   }
@@ -68,7 +198,15 @@ function isValidUpdater(obj) {
   );
 }
 
-module.exports.resolveUpdaterObjectFromArgument = function (arg) {
+/**
+ * Resolves a `bumpFiles`/`packageFiles` entry to an updater object, or to
+ * `false` if no updater can be found for it. The reason is passed to
+ * `onError` rather than printed, so that callers can report it once.
+ */
+module.exports.resolveUpdaterObjectFromArgument = function (
+  arg,
+  onError = () => {},
+) {
   /**
    * If an Object was not provided, we assume it's the path/filename
    * of the updater.
@@ -93,12 +231,7 @@ module.exports.resolveUpdaterObjectFromArgument = function (arg) {
         updater.updater = getUpdaterByFilename(updater.filename);
       }
     } catch (err) {
-      if (err.code !== 'ENOENT')
-        console.warn(
-          `Unable to obtain updater for: ${JSON.stringify(arg)}\n - Error: ${
-            err.message
-          }\n - Skipping...`,
-        );
+      if (err.code !== 'ENOENT') onError(err);
     }
   }
   /**
@@ -110,3 +243,57 @@ module.exports.resolveUpdaterObjectFromArgument = function (arg) {
 
   return updater;
 };
+
+/**
+ * Lists the directory patterns of the `.gitignore`, such as `dist/`, as
+ * fast-glob ignore patterns: `dotgitignore` only matches them against the
+ * directory itself, not against the files inside it.
+ */
+function ignoredDirectories() {
+  const gitignorePath = findUp.sync('.gitignore');
+  if (!gitignorePath) return [];
+  return fs
+    .readFileSync(gitignorePath, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.endsWith('/') && !/^[#!]/.test(line))
+    .map((line) => {
+      const directory = line.slice(0, -1);
+      // like `.gitignore`, a pattern with a slash is relative to its root
+      return directory.includes('/')
+        ? `${directory.replace(/^\//, '')}/**`
+        : `**/${directory}/**`;
+    });
+}
+
+/**
+ * Expands the `bumpFiles` (or `packageFiles`) entries whose filename is a glob
+ * pattern, e.g. `src/*.csproj`, into one entry per matched file. Files ignored
+ * by the `.gitignore` are left out.
+ */
+module.exports.expandFilePatterns = function (entries) {
+  let dotgit;
+  let ignore;
+  return entries.flatMap((entry) => {
+    const filename = typeof entry === 'object' ? entry.filename : entry;
+    if (typeof filename !== 'string' || !fastGlob.isDynamicPattern(filename)) {
+      return [entry];
+    }
+    dotgit = dotgit || DotGitignore();
+    ignore = ignore || ['**/node_modules/**', ...ignoredDirectories()];
+    const found = fastGlob.sync(filename, {
+      cwd: process.cwd(),
+      dot: true,
+      ignore,
+    });
+    // keep a pattern without matches, for it to be reported as missing
+    if (!found.length) return [entry];
+    // gitignored matches are expected to be left out, not reported as skipped
+    return found
+      .filter((match) => !dotgit.ignore(match))
+      .sort()
+      .map((match) =>
+        typeof entry === 'object' ? { ...entry, filename: match } : match,
+      );
+  });
+};
@@ -0,0 +1,184 @@
+const detectIndent = require('detect-indent');
+const detectNewline = require('detect-newline');
+
+function formatLost(message) {
+  const err = new Error(message);
+  err.code = 'EFORMATLOST';
+  return err;
+}
+
+/**
+ * Records where the values and properties of a JSON document sit in
+ * `contents`, keyed by their key path (`JSON.stringify(keyPath)`), so that
+ * they can be replaced without touching any other byte of the file. The
+ * document is expected to have been validated with `JSON.parse` already.
+ *
+ * @param {string} contents
+ * @return {{ contents: string, values: Map<string, { start: number, end: number }>, objects: Map<string, { open: number, close: number, properties: { before: string, colon: string, end: number }[] }> }}
+ */
+function scanSource(contents) {
+  const values = new Map();
+  const objects = new Map();
+  let i = 0;
+
+  const skipWhitespace = () => {
+    while (/\s/.test(contents.charAt(i))) i++;
+  };
+  const skipString = () => {
+    i++;
+    while (contents[i] !== '"') i += contents[i] === '\\' ? 2 : 1;
+    i++;
+  };
+
+  function scanValue(keyPath) {
+    skipWhitespace();
+    const start = i;
+    if (contents[i] === '{') return scanObject(keyPath);
+    if (contents[i] === '[') return scanArray(keyPath);
+    if (contents[i] === '"') skipString();
+    else while (i < contents.length && !/[\s,\]}]/.test(contents[i])) i++;
+    values.set(JSON.stringify(keyPath), { start, end: i });
+  }
+
+  function scanObject(keyPath) {
+    const object = { open: i, properties: [] };
+    i++;
+    let before = i;
+    skipWhitespace();
+    while (contents[i] !== '}') {
+      const keyStart = i;
+      skipString();
+      const key = JSON.parse(contents.slice(keyStart, i));
+      const keyEnd = i;
+      skipWhitespace();
+      i++;
+      skipWhitespace();
+      const colon = contents.slice(keyEnd, i);
+      scanValue(keyPath.concat(key));
+      object.properties.push({
+        before: contents.slice(before, keyStart),
+        colon,
+        end: i,
+      });
+      skipWhitespace();
+      if (contents[i] === ',') i++;
+      before = i;
+      skipWhitespace();
+    }
+    object.close = i;
+    i++;
+    objects.set(JSON.stringify(keyPath), object);
+  }
+
+  function scanArray(keyPath) {
+    i++;
+    skipWhitespace();
+    for (let index = 0; contents[i] !== ']'; index++) {
+      scanValue(keyPath.concat(index));
+      skipWhitespace();
+      if (contents[i] === ',') i++;
+      skipWhitespace();
+    }
+    i++;
+  }
+
+  scanValue([]);
+  return { contents, values, objects };
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Appends the `keys` of `after` to an object, in the style of its last
+ * property, or on lines of their own, indented like the rest of the file,
+ * if the object is empty.
+ */
+function insertProperties(source, object, keys, after) {
+  const last = object.properties[object.properties.length - 1];
+  const property = (key) =>
+    JSON.stringify(key) +
+    (last ? last.colon : ': ') +
+    JSON.stringify(after[key]);
+  if (last) {
+    const text = keys.map((key) => `,${last.before}${property(key)}`).join('');
+    return { start: last.end, end: last.end, text };
+  }
+  const { contents } = source;
+  const lineStart = contents.lastIndexOf('\n', object.open) + 1;
+  const margin = /^[ \t]*/.exec(contents.slice(lineStart))[0];
+  const indent = margin + (detectIndent(contents).indent || '  ');
+  const newline = detectNewline(contents) || '\n';
+  const text =
+    keys.map((key) => `${newline}${indent}${property(key)}`).join(',') +
+    newline +
+    margin;
+  return { start: object.open + 1, end: object.close, text };
+}
+
+/**
+ * Lists the edits turning the `before` document into `after`: changed values
+ * are replaced, and new properties are appended to their object in the
+ * style of its last property.
+ */
+function diffSource(source, before, after, keyPath = []) {
+  const path = JSON.stringify(keyPath);
+  if (isObject(before) && isObject(after)) {
+    const added = Object.keys(after).filter((key) => !hasOwn(before, key));
+    const removed = Object.keys(before).filter((key) => !hasOwn(after, key));
+    if (removed.length) {
+      throw formatLost(`Unable to remove ${removed.join(', ')} in place.`);
+    }
+    const edits = Object.keys(before).flatMap((key) =>
+      diffSource(source, before[key], after[key], keyPath.concat(key)),
+    );
+    if (added.length) {
+      edits.push(
+        insertProperties(source, source.objects.get(path), added, after),
+      );
+    }
+    return edits;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (before.length !== after.length) {
+      throw formatLost(`Unable to resize the array at ${path} in place.`);
+    }
+    return before.flatMap((item, i) =>
+      diffSource(source, item, after[i], keyPath.concat(i)),
+    );
+  }
+  if (before === after) return [];
+  const range = source.values.get(path);
+  if (!range || isObject(after) || Array.isArray(after)) {
+    throw formatLost(`Unable to replace the value at ${path} in place.`);
+  }
+  return [{ ...range, text: JSON.stringify(after) }];
+}
+
+/**
+ * Writes the changes made to `json`, a parsed copy of `contents`, back into
+ * `contents` by splicing in the changed values only, so that indentation,
+ * line breaks, escapes and the layout of untouched values are kept.
+ *
+ * @param {string} contents
+ * @param {object} json
+ * @return {string}
+ */
+function writeChanges(contents, json) {
+  return diffSource(scanSource(contents), JSON.parse(contents), json)
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      contents,
+    );
+}
+
+module.exports = {
+  writeChanges,
+};
@@ -0,0 +1,14 @@
+/**
+ * Splits the `path` option of a `bumpFiles` entry into the key paths that hold
+ * the version, defaulting to the top-level `version` key.
+ *
+ * @param {string|string[]} [paths] dot separated key paths, e.g. `expo.version`
+ * @return {Array<Array<string|number>>}
+ */
+module.exports.keyPaths = function (paths = 'version') {
+  return [].concat(paths).map((path) =>
+    String(path)
+      .split('.')
+      .map((key) => (/^\d+$/.test(key) ? Number(key) : key)),
+  );
+};
@@ -0,0 +1,75 @@
+const TABLE_HEADER = /^\s*(\[\[?)\s*([^[\]]+?)\s*\]\]?\s*(?:#.*)?$/;
+const STRING_ENTRY =
+  /^(\s*([A-Za-z0-9_.-]+)\s*=\s*)(?:"((?:[^"\\]|\\.)*)"|'([^']*)')\s*(?:#.*)?$/;
+
+/**
+ * Lists the tables of a TOML document along with their single-line string
+ * entries, recording where each value sits in `contents` so that it can be
+ * replaced without touching any other byte of the file.
+ *
+ * Only what is needed to locate version fields is understood: `[table]` and
+ * `[[array.of.tables]]` headers, and `key = "value"` / `key = 'value'` pairs.
+ * Keys defined before the first header belong to the root table (`''`).
+ *
+ * @param {string} contents
+ * @return {{ name: string, array: boolean, entries: Object<string, { value: string, start: number, end: number }> }[]}
+ */
+function parseTables(contents) {
+  const tables = [{ name: '', array: false, entries: {} }];
+  let offset = 0;
+
+  for (const line of contents.split('\n')) {
+    const text = line.replace(/\r$/, '');
+    const header = TABLE_HEADER.exec(text);
+    if (header) {
+      tables.push({
+        name: header[2].replace(/\s*\.\s*/g, '.'),
+        array: header[1] === '[[',
+        entries: {},
+      });
+    } else {
+      const entry = STRING_ENTRY.exec(text);
+      if (entry) {
+        const value = entry[3] !== undefined ? entry[3] : entry[4];
+        const start = offset + entry[1].length + 1;
+        tables[tables.length - 1].entries[entry[2]] = {
+          value,
+          start,
+          end: start + value.length,
+        };
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  return tables;
+}
+
+/**
+ * Returns the entry for `key` in the first table called `name`, if present.
+ */
+function findEntry(tables, name, key) {
+  const table = tables.find((t) => !t.array && t.name === name);
+  return table ? table.entries[key] : undefined;
+}
+
+/**
+ * Replaces the value of every given entry (as returned by `parseTables`)
+ * with `value`.
+ */
+function replaceEntries(contents, entries, value) {
+  return entries
+    .slice()
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, entry) =>
+        result.slice(0, entry.start) + value + result.slice(entry.end),
+      contents,
+    );
+}
+
+module.exports = {
+  parseTables,
+  findEntry,
+  replaceEntries,
+};
@@ -0,0 +1,37 @@
+const { nextBuildNumber } = require('../build-number');
+const versionNameRegex = /^(\s*versionName\s*=?\s*)(['"])([^'"]*)\2/m;
+const versionCodeRegex = /^(\s*versionCode\s*=?\s*)(\d+)/m;
+
+module.exports.readVersion = function (contents) {
+  const matches = versionNameRegex.exec(contents);
+  if (matches === null) {
+    throw new Error(
+      'Failed to read the versionName field in your Android gradle file - is it present?',
+    );
+  }
+  return matches[3];
+};
+
+/**
+ * Writes `versionName`, and moves `versionCode` forward according to the
+ * `versionCode` option of the bumpFiles entry (see `nextBuildNumber`).
+ */
+module.exports.writeVersion = function (
+  contents,
+  version,
+  options = {},
+  context = {},
+) {
+  return contents
+    .replace(versionNameRegex, (_match, assignment, quote) => {
+      return `${assignment}${quote}${version}${quote}`;
+    })
+    .replace(versionCodeRegex, (_match, assignment, versionCode) => {
+      return `${assignment}${nextBuildNumber(
+        Number(versionCode),
+        version,
+        options.versionCode,
+        context.versionScheme,
+      )}`;
+    });
+};
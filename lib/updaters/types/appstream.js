@@ -0,0 +1,66 @@
+const { parseElements } = require('../xml');
+const VERSION_ATTRIBUTE = /\bversion\s*=\s*(["'])(.*?)\1/;
+
+function releases(contents) {
+  const elements = parseElements(contents);
+  const list = elements.find(({ path }) => path === 'component/releases');
+  if (!list) {
+    throw new Error(
+      'Failed to read the releases in your AppStream metainfo file - are they present?',
+    );
+  }
+  return {
+    list,
+    releases: elements.filter(
+      ({ path }) => path === 'component/releases/release',
+    ),
+  };
+}
+
+module.exports.readVersion = function (contents) {
+  const [latest] = releases(contents).releases;
+  const version = latest && VERSION_ATTRIBUTE.exec(latest.attributes);
+  if (!version) {
+    throw new Error(
+      'Failed to read the version of the latest release in your AppStream metainfo file - is it present?',
+    );
+  }
+  return version[2];
+};
+
+/**
+ * Adds a `<release version date>` for the new version at the top of the
+ * `<releases>`, which AppStream expects to be listed newest first.
+ */
+module.exports.writeVersion = function (contents, version, _options, context) {
+  const { list, releases: existing } = releases(contents);
+  const [latest] = existing;
+  if (latest && VERSION_ATTRIBUTE.exec(latest.attributes)?.[2] === version) {
+    return contents;
+  }
+  const date = context ? ` date="${context.date}"` : '';
+  const release = `<release version="${version}"${date}/>`;
+
+  if (latest) {
+    const lineStart = contents.lastIndexOf('\n', latest.start) + 1;
+    const indent = contents.slice(lineStart, latest.start);
+    return (
+      contents.slice(0, latest.start) +
+      release +
+      (/^\s*$/.test(indent) ? `\n${indent}` : '') +
+      contents.slice(latest.start)
+    );
+  }
+  if (list.selfClosing) {
+    return (
+      contents.slice(0, list.start) +
+      `<releases>${release}</releases>` +
+      contents.slice(list.end)
+    );
+  }
+  return (
+    contents.slice(0, list.contentStart) +
+    release +
+    contents.slice(list.contentStart)
+  );
+};
@@ -0,0 +1,41 @@
+const { assemblyVersion, fromAssemblyVersion } = require('../dotnet');
+// [assembly: AssemblyVersion("1.2.3.0")] in C#, <Assembly: ...> in VB.NET
+const attributeRegex =
+  /(\bAssembly(File|Informational)?Version(?:Attribute)?\s*\(\s*")([^"]*)(")/g;
+
+function attributes(contents) {
+  const found = {};
+  for (const matches of contents.matchAll(attributeRegex)) {
+    found[matches[2] || 'Assembly'] = matches[3];
+  }
+  return found;
+}
+
+module.exports.readVersion = function (contents) {
+  const found = attributes(contents);
+  if (found.Informational) return found.Informational;
+  if (found.Assembly || found.File) {
+    return fromAssemblyVersion(found.Assembly || found.File);
+  }
+  throw new Error(
+    'Failed to read the AssemblyVersion attribute in your AssemblyInfo file - is it present?',
+  );
+};
+
+module.exports.writeVersion = function (
+  contents,
+  version,
+  _options,
+  context = {},
+) {
+  return contents.replace(
+    attributeRegex,
+    (_match, start, kind, _current, end) => {
+      const value =
+        kind === 'Informational'
+          ? version
+          : assemblyVersion(version, context.versionScheme);
+      return `${start}${value}${end}`;
+    },
+  );
+};
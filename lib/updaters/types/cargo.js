@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTables, findEntry, replaceEntries } = require('../toml');
+
+function isLockfile(tables) {
+  return tables.some((table) => table.array && table.name === 'package');
+}
+
+/**
+ * Crates that live in the repository itself are recorded in `Cargo.lock`
+ * without a `source`.
+ */
+function localLockPackages(tables) {
+  return tables.filter(
+    (table) =>
+      table.array &&
+      table.name === 'package' &&
+      !table.entries.source &&
+      table.entries.version,
+  );
+}
+
+function manifestVersionEntries(tables) {
+  return [
+    findEntry(tables, 'package', 'version'),
+    findEntry(tables, 'workspace.package', 'version'),
+  ].filter(Boolean);
+}
+
+/**
+ * Reads the `Cargo.toml` next to a `Cargo.lock`, if there is one.
+ */
+function siblingManifest(options) {
+  const manifestPath = path.resolve(
+    process.cwd(),
+    path.dirname(options.filename || 'Cargo.lock'),
+    'Cargo.toml',
+  );
+  try {
+    return parseTables(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Finds the local crate of a `Cargo.lock` that is being released: the one
+ * named by the `crate` option of the bumpFiles entry, or else the one named in
+ * the `Cargo.toml` next to it, the one at the version of that `Cargo.toml`, the
+ * one at the version being released from or to (while bumping), and finally
+ * the first local crate.
+ */
+function releasedCrate(tables, options, context = {}) {
+  const packages = localLockPackages(tables);
+  const named = (name) =>
+    packages.find((table) => table.entries.name?.value === name);
+  const atVersion = (version) =>
+    packages.find((table) => table.entries.version.value === version);
+  if (options.crate) return named(options.crate);
+
+  const manifest = siblingManifest(options) || [];
+  const name = findEntry(manifest, 'package', 'name');
+  const [version] = manifestVersionEntries(manifest);
+  return (
+    (name && named(name.value)) ||
+    (version && atVersion(version.value)) ||
+    atVersion(context.previousVersion) ||
+    atVersion(context.version) ||
+    packages[0]
+  );
+}
+
+module.exports.preservesFormatting = true;
+
+/**
+ * The version of a `Cargo.lock` is read from the crate being released, see
+ * `releasedCrate`.
+ */
+module.exports.readVersion = function (contents, options = {}, context) {
+  const tables = parseTables(contents);
+  let entry;
+  if (isLockfile(tables)) {
+    const found = releasedCrate(tables, options, context);
+    entry = found && found.entries.version;
+  } else {
+    entry = manifestVersionEntries(tables)[0];
+  }
+
+  if (!entry) {
+    throw new Error(
+      'Failed to read the version field in your Cargo file - is it present?',
+    );
+  }
+  return entry.value;
+};
+
+/**
+ * In a `Cargo.lock`, only the local crates released in lockstep are moved:
+ * the ones at the version of the crate being released, leaving independently
+ * versioned crates alone.
+ */
+module.exports.writeVersion = function (
+  contents,
+  version,
+  options = {},
+  context,
+) {
+  const tables = parseTables(contents);
+  let entries;
+  if (isLockfile(tables)) {
+    const current = module.exports.readVersion(contents, options, context);
+    entries = localLockPackages(tables)
+      .map((table) => table.entries.version)
+      .filter((entry) => entry.value === current);
+  } else {
+    entries = manifestVersionEntries(tables);
+  }
+  return replaceEntries(contents, entries, version);
+};
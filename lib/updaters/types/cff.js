@@ -0,0 +1,26 @@
+const yaml = require('yaml');
+const { replaceScalars } = require('../yaml');
+
+module.exports.preservesFormatting = true;
+
+module.exports.readVersion = function (contents) {
+  const version = yaml.parse(contents).version;
+  if (version === undefined || version === null) {
+    throw new Error(
+      'Failed to read the version field in your CITATION.cff - is it present?',
+    );
+  }
+  return String(version);
+};
+
+/**
+ * Writes the `version` of a Citation File Format file, and its `date-released`
+ * when it records one.
+ */
+module.exports.writeVersion = function (contents, version, _options, context) {
+  const edits = [{ keyPath: ['version'], value: version }];
+  if (context && yaml.parse(contents)['date-released'] !== undefined) {
+    edits.push({ keyPath: ['date-released'], value: context.date });
+  }
+  return replaceScalars(contents, edits);
+};
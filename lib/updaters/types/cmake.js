@@ -0,0 +1,33 @@
+const semverScheme = require('../../version-schemes/semver');
+const versionRegex = /(\bproject\s*\([^)]*?\bVERSION\s+)(\d+(?:\.\d+){0,3})/i;
+
+module.exports.readVersion = function (contents) {
+  const matches = versionRegex.exec(contents);
+  if (matches === null) {
+    throw new Error(
+      'Failed to read the VERSION of the project() in your CMakeLists.txt - is it present?',
+    );
+  }
+  return matches[2];
+};
+
+/**
+ * CMake versions are made of numbers only, so prereleases and build metadata
+ * are left out.
+ */
+module.exports.writeVersion = function (
+  contents,
+  version,
+  _options,
+  context = {},
+) {
+  const { versionScheme = semverScheme } = context;
+  const parsed = versionScheme.parse(version);
+  if (!parsed) {
+    throw new Error(`Unable to write ${version} as a CMake project version`);
+  }
+  const { major, minor, patch } = parsed;
+  return contents.replace(versionRegex, (_match, command) => {
+    return `${command}${major}.${minor}.${patch}`;
+  });
+};
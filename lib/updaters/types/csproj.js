@@ -1,15 +1,76 @@
-const versionRegex = /<Version>(.*)<\/Version>/;
+const { parseElements, textOf, replaceText } = require('../xml');
+const { assemblyVersion, versionPrefixAndSuffix } = require('../dotnet');
+
+/**
+ * Finds the version properties of an MSBuild project (`.csproj`,
+ * `Directory.Build.props`...), ignoring elements such as a `<Version>` nested
+ * in a `PackageReference`.
+ */
+function versionProperties(contents) {
+  const properties = {};
+  parseElements(contents)
+    .filter((element) => /(^|\/)PropertyGroup\/[^/]+$/.test(element.path))
+    .forEach((element) => {
+      properties[element.name] = properties[element.name] || [];
+      properties[element.name].push(element);
+    });
+  return properties;
+}
 
 module.exports.readVersion = function (contents) {
-  const matches = versionRegex.exec(contents);
-  if (matches === null || matches.length !== 2) {
-    throw new Error(
-      'Failed to read the Version field in your csproj file - is it present?',
-    );
+  const properties = versionProperties(contents);
+  if (properties.Version) {
+    return textOf(contents, properties.Version[0]);
+  }
+  if (properties.VersionPrefix) {
+    const prefix = textOf(contents, properties.VersionPrefix[0]);
+    const suffix = properties.VersionSuffix
+      ? textOf(contents, properties.VersionSuffix[0])
+      : '';
+    return suffix ? `${prefix}-${suffix}` : prefix;
   }
-  return matches[1];
+  throw new Error(
+    'Failed to read the Version or VersionPrefix field in your csproj file - is it present?',
+  );
 };
 
-module.exports.writeVersion = function (contents, version) {
-  return contents.replace(versionRegex, `<Version>${version}</Version>`);
+module.exports.writeVersion = function (
+  contents,
+  version,
+  _options,
+  context = {},
+) {
+  const { versionScheme } = context;
+  const properties = versionProperties(contents);
+  const { prefix, suffix } = versionPrefixAndSuffix(version, versionScheme);
+  const values = {
+    Version: version,
+    VersionPrefix: prefix,
+    VersionSuffix: suffix,
+    InformationalVersion: version,
+    AssemblyVersion: assemblyVersion(version, versionScheme),
+    FileVersion: assemblyVersion(version, versionScheme),
+  };
+
+  let newContents = Object.keys(values).reduce(
+    (result, name) =>
+      properties[name]
+        ? replaceText(result, properties[name], values[name])
+        : result,
+    contents,
+  );
+
+  // a prerelease needs a VersionSuffix next to the VersionPrefix
+  if (suffix && properties.VersionPrefix && !properties.VersionSuffix) {
+    const [element] = versionProperties(newContents).VersionPrefix;
+    const lineStart = newContents.lastIndexOf('\n', element.start) + 1;
+    const newline = newContents[lineStart - 2] === '\r' ? '\r\n' : '\n';
+    const indent = newContents.slice(lineStart, element.start);
+    newContents =
+      newContents.slice(0, element.end) +
+      `${newline}${indent}<VersionSuffix>${suffix}</VersionSuffix>` +
+      newContents.slice(element.end);
+  }
+
+  return newContents;
 };
@@ -1,4 +1,6 @@
-const versionRegex = /^version\s+=\s+['"]([\d.]+)['"]/m;
+// matches `version = "1.2.3"` in build.gradle(.kts) and `version=1.2.3` in
+// gradle.properties, with any prerelease or build metadata.
+const versionRegex = /^(version\s*[=:]\s*)(['"]?)(\d[\w.+-]*)\2(?=\s|$)/m;
 
 module.exports.readVersion = function (contents) {
   const matches = versionRegex.exec(contents);
@@ -8,11 +10,11 @@ module.exports.readVersion = function (contents) {
     );
   }
 
-  return matches[1];
+  return matches[3];
 };
 
 module.exports.writeVersion = function (contents, version) {
-  return contents.replace(versionRegex, () => {
-    return `version = "${version}"`;
+  return contents.replace(versionRegex, (_match, assignment, quote) => {
+    return `${assignment}${quote}${version}${quote}`;
   });
 };
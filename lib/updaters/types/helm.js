@@ -0,0 +1,118 @@
+const path = require('path');
+const yaml = require('yaml');
+const { keyPaths } = require('../key-path');
+const { replaceScalars } = require('../yaml');
+const semverScheme = require('../../version-schemes/semver');
+
+// the appVersion (and the image tag of values files) is only released along
+// with the chart when asked to
+const DEFAULT_CHART_POLICIES = { version: 'release', appVersion: 'keep' };
+const INCREMENTS = ['major', 'minor', 'patch'];
+
+function isValuesFile(options) {
+  return /^values.*\.ya?ml$/.test(path.basename(options.filename || ''));
+}
+
+/**
+ * A field policy is either `release` (set the field to the released version),
+ * one of `major`, `minor` or `patch` (increment the field on its own), or
+ * `keep` / `false` (leave the field as it is).
+ */
+function nextFieldValue(current, version, policy = 'release') {
+  if (policy === 'release') return version;
+  if (policy === 'keep' || policy === false) return current;
+  if (INCREMENTS.includes(policy)) {
+    // Helm requires chart versions to be semver versions
+    const next = semverScheme.increment(current, policy);
+    if (!next) {
+      throw new Error(`Unable to ${policy} increment ${current}`);
+    }
+    return next;
+  }
+  throw new Error(
+    `Unsupported Helm version policy (${policy}), expected one of release, major, minor, patch or keep.`,
+  );
+}
+
+/**
+ * Image tags are commonly written with a `v` prefix, which is kept.
+ */
+function splitTag(tag) {
+  const [, prefix, version] = /^(v?)(.*)$/.exec(String(tag));
+  return { prefix, version };
+}
+
+function imageTag(document, options) {
+  const [keyPath] = keyPaths(options.path || 'image.tag');
+  const tag = document.getIn(keyPath);
+  if (tag === undefined || tag === null || tag === '') {
+    throw new Error(
+      `${keyPath.join('.')} is not set in ${
+        options.filename
+      }, Helm falls back to the chart appVersion.`,
+    );
+  }
+  return { keyPath, ...splitTag(tag) };
+}
+
+function chartFields(document, options) {
+  return Object.keys(DEFAULT_CHART_POLICIES)
+    .filter((field) => document.get(field) !== undefined)
+    .map((field) => ({
+      field,
+      current: String(document.get(field)),
+      policy:
+        options[field] === undefined
+          ? DEFAULT_CHART_POLICIES[field]
+          : options[field],
+    }));
+}
+
+module.exports.preservesFormatting = true;
+
+module.exports.readVersion = function (contents, options = {}) {
+  const document = yaml.parseDocument(contents);
+  if (isValuesFile(options)) {
+    return imageTag(document, options).version;
+  }
+  const fields = chartFields(document, options);
+  const released =
+    fields.find(({ policy }) => policy === 'release') || fields[0];
+  if (!released) {
+    throw new Error(
+      'Failed to read the version field in your Chart.yaml - is it present?',
+    );
+  }
+  return released.current;
+};
+
+/**
+ * Writes the `version` and `appVersion` of a `Chart.yaml` according to the
+ * `version` and `appVersion` policies of the bumpFiles entry, or the image tag
+ * of a `values.yaml` according to the `appVersion` policy.
+ */
+module.exports.writeVersion = function (contents, version, options = {}) {
+  const document = yaml.parseDocument(contents);
+  let edits;
+
+  if (isValuesFile(options)) {
+    const tag = imageTag(document, options);
+    const next = nextFieldValue(
+      tag.version,
+      version,
+      options.appVersion === undefined
+        ? DEFAULT_CHART_POLICIES.appVersion
+        : options.appVersion,
+    );
+    edits = [{ keyPath: tag.keyPath, value: tag.prefix + next }];
+  } else {
+    edits = chartFields(document, options).map(
+      ({ field, current, policy }) => ({
+        keyPath: [field],
+        value: nextFieldValue(current, version, policy),
+      }),
+    );
+  }
+
+  return replaceScalars(contents, edits);
+};
@@ -1,23 +1,191 @@
-const stringifyPackage = require('../../stringify-package');
-const detectIndent = require('detect-indent');
 const detectNewline = require('detect-newline');
+const { keyPaths } = require('../key-path');
+const { writeChanges } = require('../json');
+const { bumpRange, isLockstep } = require('../workspace-range');
+const semverScheme = require('../../version-schemes/semver');
 
-module.exports.readVersion = function (contents) {
-  return JSON.parse(contents).version;
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'optionalDependencies',
+  'peerDependencies',
+  'requires',
+];
+
+function getIn(json, keyPath) {
+  return keyPath.reduce(
+    (value, key) =>
+      value === undefined || value === null ? value : value[key],
+    json,
+  );
+}
+
+function setIn(json, keyPath, version) {
+  const parent = getIn(json, keyPath.slice(0, -1));
+  if (typeof parent !== 'object' || parent === null) {
+    throw new Error(
+      `Failed to write the version to ${keyPath.join('.')} - is it present?`,
+    );
+  }
+  parent[keyPath[keyPath.length - 1]] = version;
+}
+
+function isExtensionManifest(json, options) {
+  return !options.path && json.manifest_version !== undefined;
+}
+
+const EXTENSION_VERSION = /^(\d+\.\d+\.\d+)(?:\.(\d+))?$/;
+
+/**
+ * Browser extension manifests only accept up to four dot separated integers as
+ * their `version`, which the stores compare numerically, and the full version
+ * goes to `version_name`:
+ * - a final release is written as `major.minor.patch`, e.g. `1.3.0`;
+ * - a prerelease is written as `major.minor.patch.N`, where `N` is the last
+ *   number of the prerelease, e.g. `1.3.0.2` for `1.3.0-beta.2`;
+ * - when the manifest already holds a prerelease of the same
+ *   `major.minor.patch`, the fourth number is moved past the current one, so
+ *   that `1.3.0-beta.2` (`1.3.0.2`) is followed by `1.3.0` (`1.3.0.3`).
+ */
+function extensionVersion(version, current, scheme = semverScheme) {
+  const parsed = scheme.parse(version);
+  if (!parsed) return version;
+  const { major, minor, patch, prerelease } = parsed;
+  const base = `${major}.${minor}.${patch}`;
+  const build = prerelease.length
+    ? prerelease.filter(Number.isInteger).pop() || 0
+    : undefined;
+  const [, currentBase, currentBuild = 0] =
+    EXTENSION_VERSION.exec(current || '') || [];
+  if (currentBase === base) {
+    return `${base}.${Math.max(build || 0, Number(currentBuild) + 1)}`;
+  }
+  return build === undefined ? base : `${base}.${build}`;
+}
+
+/**
+ * Whether `version_name` holds the full version of the numeric `version`.
+ */
+function isVersionNameOf(versionName, version) {
+  const parsed = semverScheme.parse(versionName);
+  const [, base] = EXTENSION_VERSION.exec(version || '') || [];
+  return !!parsed && base === `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+}
+
+/**
+ * Workspace packages are recorded in `packages` under their path, as opposed
+ * to installed packages that live in a `node_modules` folder.
+ */
+function isWorkspaceEntry(key) {
+  return key !== '' && !/(^|\/)node_modules\//.test(key);
+}
+
+/**
+ * Moves the workspace packages of a lockfile that are released in lockstep
+ * with the root package, i.e. that share its version and whose `package.json`
+ * is bumped too, along with the dependency ranges pointing at them.
+ */
+function bumpWorkspaces(json, current, version, context) {
+  // workspaces are installed as links, named after their package
+  const linkedNames = {};
+  Object.entries(json.packages)
+    .filter(([, entry]) => entry.link && entry.resolved)
+    .forEach(([key, entry]) => {
+      linkedNames[entry.resolved] = key.split('node_modules/').pop();
+    });
+
+  const names = new Set();
+  Object.entries(json.packages)
+    .filter(
+      ([key, entry]) => isWorkspaceEntry(key) && entry.version === current,
+    )
+    .forEach(([key, entry]) => {
+      const name = entry.name || linkedNames[key] || key.split('/').pop();
+      if (!isLockstep(name, context)) return;
+      entry.version = version;
+      names.add(name);
+    });
+  if (!names.size) return;
+
+  bumpDependencies(
+    Object.values(json.packages).concat(
+      // lockfile v2 also keeps a v1 style `dependencies` tree
+      Object.values(json.dependencies || {}),
+    ),
+    names,
+    current,
+    version,
+  );
+}
+
+/**
+ * Moves the ranges based on `current` of the dependencies on the packages
+ * `names` to `version`, in the dependency fields of the given entries.
+ */
+function bumpDependencies(entries, names, current, version) {
+  entries.forEach((entry) => {
+    DEPENDENCY_FIELDS.filter((field) => entry[field]).forEach((field) => {
+      Object.keys(entry[field])
+        .filter((name) => names.has(name))
+        .forEach((name) => {
+          entry[field][name] = bumpRange(entry[field][name], current, version);
+        });
+    });
+  });
+}
+
+module.exports.readVersion = function (contents, options = {}) {
+  const json = JSON.parse(contents);
+  if (
+    isExtensionManifest(json, options) &&
+    json.version_name &&
+    isVersionNameOf(json.version_name, json.version)
+  ) {
+    return json.version_name;
+  }
+  return getIn(json, keyPaths(options.path)[0]);
 };
 
-module.exports.writeVersion = function (contents, version) {
+module.exports.writeVersion = function (
+  contents,
+  version,
+  options = {},
+  context = {},
+) {
   const json = JSON.parse(contents);
-  const indent = detectIndent(contents).indent;
-  const newline = detectNewline(contents);
-  json.version = version;
+  if (isExtensionManifest(json, options)) {
+    json.version = extensionVersion(
+      version,
+      json.version,
+      context.versionScheme,
+    );
+    if (json.version !== version || json.version_name !== undefined) {
+      json.version_name = version;
+    }
+  } else {
+    keyPaths(options.path).forEach((keyPath) => setIn(json, keyPath, version));
+  }
 
-  if (json.packages && json.packages['']) {
+  if (!options.path && json.packages && json.packages['']) {
     // package-lock v2 stores version there too
+    const current = json.packages[''].version;
     json.packages[''].version = version;
+    bumpWorkspaces(json, current, version, context);
+  } else if (!options.path && context.packages && context.previousVersion) {
+    // workspace packages depending on each other, see `lockstepPackages`
+    bumpDependencies(
+      [json],
+      new Set(context.packages),
+      context.previousVersion,
+      version,
+    );
   }
 
-  return stringifyPackage(json, indent, newline);
+  const newContents = writeChanges(contents, json);
+  // like npm, end the file with a line break
+  return /\n$/.test(newContents)
+    ? newContents
+    : newContents + (detectNewline(contents) || '\n');
 };
 
 module.exports.isPrivate = function (contents) {
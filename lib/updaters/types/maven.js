@@ -1,44 +1,71 @@
-const jsdom = require('jsdom');
-const serialize = require('w3c-xmlserializer');
-const detectNewline = require('detect-newline');
-const CRLF = '\r\n';
-const LF = '\n';
+const { parseElements, findElement, textOf, replaceText } = require('../xml');
+const PROPERTY = /\$\{([^}]+)\}/g;
+const REVISION_PROPERTY = '${revision}';
 
-function pomDocument(contents) {
-  const dom = new jsdom.JSDOM('');
-  const parser = new dom.window.DOMParser();
-  return parser.parseFromString(contents, 'application/xml');
+function pomVersionElements(contents) {
+  const elements = parseElements(contents);
+  const properties = {};
+  elements
+    .filter((element) => /^project\/properties\/[^/]+$/.test(element.path))
+    .forEach((element) => (properties[element.name] = element));
+  return {
+    version: findElement(elements, 'project/version'),
+    parentVersion: findElement(elements, 'project/parent/version'),
+    revision: properties.revision,
+    properties,
+  };
 }
 
-function pomVersionElement(document) {
-  const versionElement = document.querySelector('project > version');
-
-  if (!versionElement) {
+/**
+ * Resolves the version of the project, falling back to the version of its
+ * parent for modules that inherit it, and expanding properties such as the
+ * CI friendly `${revision}`.
+ */
+function pomVersion(contents, elements) {
+  const element = elements.version || elements.parentVersion;
+  if (!element) {
     throw new Error(
       'Failed to read the version field in your pom file - is it present?',
     );
   }
-
-  return versionElement;
+  const version = textOf(contents, element).replace(PROPERTY, (ref, name) =>
+    elements.properties[name]
+      ? textOf(contents, elements.properties[name])
+      : ref,
+  );
+  if (version.includes('${')) {
+    throw new Error(
+      `The version in your pom file is defined by a property (${version}) - bump the pom that defines it.`,
+    );
+  }
+  return version;
 }
 
 module.exports.readVersion = function (contents) {
-  const document = pomDocument(contents);
-  return pomVersionElement(document).textContent;
+  return pomVersion(contents, pomVersionElements(contents));
 };
 
 module.exports.writeVersion = function (contents, version) {
-  const newline = detectNewline(contents);
-  const document = pomDocument(contents);
-  const versionElement = pomVersionElement(document);
+  const elements = pomVersionElements(contents);
+  const current = pomVersion(contents, elements);
+  const usesRevision = (element) =>
+    textOf(contents, element).includes(REVISION_PROPERTY);
+  const toUpdate = [];
 
-  versionElement.textContent = version;
-
-  const xml = serialize(document);
-
-  if (newline === CRLF) {
-    return xml.replace(/\n/g, CRLF) + CRLF;
+  if (elements.version) {
+    toUpdate.push(
+      usesRevision(elements.version) ? elements.revision : elements.version,
+    );
+  }
+  // modules of a multi-module build share the version of their parent, unlike
+  // an external parent (such as a framework's) that keeps its own version.
+  if (elements.parentVersion) {
+    if (usesRevision(elements.parentVersion) && elements.revision) {
+      toUpdate.push(elements.revision);
+    } else if (textOf(contents, elements.parentVersion) === current) {
+      toUpdate.push(elements.parentVersion);
+    }
   }
 
-  return xml + LF;
+  return replaceText(contents, [...new Set(toUpdate)], version);
 };
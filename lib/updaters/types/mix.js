@@ -0,0 +1,28 @@
+// projects commonly keep their version in a `@version` module attribute, used
+// as `version: @version` in the project definition.
+const versionRegexes = [
+  /^(\s*@version\s+)(")([^"\r\n]*)"/m,
+  /^(\s*version:\s*)(")([^"\r\n]*)"/m,
+];
+
+function versionRegex(contents) {
+  return versionRegexes.find((regex) => regex.test(contents));
+}
+
+module.exports.readVersion = function (contents) {
+  const regex = versionRegex(contents);
+  if (!regex) {
+    throw new Error(
+      'Failed to read the version field in your mix.exs - is it present?',
+    );
+  }
+  return regex.exec(contents)[3];
+};
+
+module.exports.writeVersion = function (contents, version) {
+  const regex = versionRegex(contents);
+  if (!regex) return contents;
+  return contents.replace(regex, (_match, assignment, quote) => {
+    return `${assignment}${quote}${version}${quote}`;
+  });
+};
@@ -0,0 +1,22 @@
+const { parseElements, findElement, textOf, replaceText } = require('../xml');
+
+function versionElement(contents) {
+  const element = findElement(
+    parseElements(contents),
+    'package/metadata/version',
+  );
+  if (!element) {
+    throw new Error(
+      'Failed to read the version field in your nuspec file - is it present?',
+    );
+  }
+  return element;
+}
+
+module.exports.readVersion = function (contents) {
+  return textOf(contents, versionElement(contents));
+};
+
+module.exports.writeVersion = function (contents, version) {
+  return replaceText(contents, [versionElement(contents)], version);
+};
@@ -0,0 +1,49 @@
+const { nextBuildNumber } = require('../build-number');
+
+function keyRegex(key) {
+  return new RegExp(`(<key>${key}</key>\\s*<string>)([^<]*)(</string>)`);
+}
+const shortVersionRegex = keyRegex('CFBundleShortVersionString');
+const bundleVersionRegex = keyRegex('CFBundleVersion');
+
+module.exports.readVersion = function (contents) {
+  const matches = shortVersionRegex.exec(contents);
+  if (matches === null) {
+    throw new Error(
+      'Failed to read CFBundleShortVersionString in your Info.plist - is it present?',
+    );
+  }
+  if (matches[2].startsWith('$(')) {
+    throw new Error(
+      `CFBundleShortVersionString in your Info.plist is set from ${matches[2]} - bump your Xcode project instead.`,
+    );
+  }
+  return matches[2];
+};
+
+/**
+ * Writes `CFBundleShortVersionString`, and moves a numeric `CFBundleVersion`
+ * forward according to the `buildNumber` option of the bumpFiles entry (see
+ * `nextBuildNumber`). Values taken from build settings, such as
+ * `$(MARKETING_VERSION)`, are left untouched.
+ */
+module.exports.writeVersion = function (
+  contents,
+  version,
+  options = {},
+  context = {},
+) {
+  return contents
+    .replace(shortVersionRegex, (match, start, current, end) => {
+      return current.startsWith('$(') ? match : `${start}${version}${end}`;
+    })
+    .replace(bundleVersionRegex, (match, start, current, end) => {
+      if (!/^\d+$/.test(current)) return match;
+      return `${start}${nextBuildNumber(
+        Number(current),
+        version,
+        options.buildNumber,
+        context.versionScheme,
+      )}${end}`;
+    });
+};
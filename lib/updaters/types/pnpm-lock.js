@@ -0,0 +1,89 @@
+const yaml = require('yaml');
+const { rangeVersion, bumpRange, isLockstep } = require('../workspace-range');
+const { replaceScalars } = require('../yaml');
+
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'optionalDependencies',
+];
+
+/**
+ * Lists the specifiers of the dependencies that an importer links to another
+ * workspace package. Lockfile v5 keeps the specifiers apart from the
+ * dependencies.
+ */
+function workspaceSpecifiers(contents) {
+  const importers = yaml.parse(contents).importers || {};
+  return Object.entries(importers).flatMap(([importer, manifest]) =>
+    DEPENDENCY_FIELDS.filter((field) => manifest && manifest[field]).flatMap(
+      (field) =>
+        Object.entries(manifest[field])
+          .map(([name, dependency]) =>
+            typeof dependency === 'string'
+              ? {
+                  name,
+                  linked: dependency.startsWith('link:'),
+                  keyPath: ['importers', importer, 'specifiers', name],
+                  specifier: (manifest.specifiers || {})[name],
+                }
+              : {
+                  name,
+                  linked: String(dependency.version).startsWith('link:'),
+                  keyPath: ['importers', importer, field, name, 'specifier'],
+                  specifier: dependency.specifier,
+                },
+          )
+          .filter(
+            ({ linked, specifier }) =>
+              linked && specifier && rangeVersion(specifier),
+          ),
+    ),
+  );
+}
+
+module.exports.preservesFormatting = true;
+
+/**
+ * The version is read from the first specifier of a dependency on a workspace
+ * package released in lockstep (see `isLockstep`).
+ */
+module.exports.readVersion = function (contents, options, context) {
+  const specifiers = workspaceSpecifiers(contents);
+  const [first] = specifiers
+    .filter(({ name }) => isLockstep(name, context))
+    .concat(specifiers);
+  if (!first) {
+    throw new Error(
+      'Failed to find a dependency on a workspace package in your pnpm-lock.yaml - is this a pnpm workspace?',
+    );
+  }
+  return rangeVersion(first.specifier);
+};
+
+/**
+ * Moves the specifiers of the dependencies on workspace packages that are
+ * released in lockstep, i.e. those based on the version being released from.
+ */
+module.exports.writeVersion = function (
+  contents,
+  version,
+  options,
+  context = {},
+) {
+  const current =
+    context.previousVersion ||
+    module.exports.readVersion(contents, options, context);
+  return replaceScalars(
+    contents,
+    workspaceSpecifiers(contents)
+      .filter(
+        ({ name, specifier }) =>
+          isLockstep(name, context) && rangeVersion(specifier) === current,
+      )
+      .map(({ keyPath, specifier }) => ({
+        keyPath,
+        value: bumpRange(specifier, current, version),
+      })),
+  );
+};
@@ -0,0 +1,53 @@
+const yaml = require('yaml');
+const { nextBuildNumber } = require('../build-number');
+const { replaceScalars } = require('../yaml');
+
+/**
+ * Splits a pubspec version such as `1.2.3+45` into its semver part and its
+ * build part. A numeric build is the build number Flutter uses as the Android
+ * `versionCode` and the iOS `CFBundleVersion`.
+ */
+function parseVersion(contents) {
+  const node = yaml.parseDocument(contents).get('version', true);
+  if (!yaml.isScalar(node)) {
+    throw new Error(
+      'Failed to read the version field in your pubspec.yaml - is it present?',
+    );
+  }
+  const [, version, build] = /^([^+]*)(?:\+(.*))?$/.exec(String(node.value));
+  return { version, build };
+}
+
+module.exports.preservesFormatting = true;
+
+module.exports.readVersion = function (contents) {
+  return parseVersion(contents).version;
+};
+
+/**
+ * Writes the new version, moving the build number forward according to the
+ * `buildNumber` option of the bumpFiles entry (see `nextBuildNumber`). A build
+ * number is only written if the pubspec already had one, and build metadata
+ * that isn't a number, such as `+build.7`, is kept as it is.
+ */
+module.exports.writeVersion = function (
+  contents,
+  version,
+  options = {},
+  context = {},
+) {
+  const { build } = parseVersion(contents);
+  let value = version;
+  if (build !== undefined && !version.includes('+')) {
+    value = /^\d+$/.test(build)
+      ? `${version}+${nextBuildNumber(
+          Number(build),
+          version,
+          options.buildNumber,
+          context.versionScheme,
+        )}`
+      : `${version}+${build}`;
+  }
+
+  return replaceScalars(contents, [{ keyPath: ['version'], value }]);
+};
@@ -0,0 +1,25 @@
+const { parseTables, findEntry, replaceEntries } = require('../toml');
+
+function versionEntries(contents) {
+  const tables = parseTables(contents);
+  return [
+    findEntry(tables, 'project', 'version'),
+    findEntry(tables, 'tool.poetry', 'version'),
+  ].filter(Boolean);
+}
+
+module.exports.preservesFormatting = true;
+
+module.exports.readVersion = function (contents) {
+  const entries = versionEntries(contents);
+  if (!entries.length) {
+    throw new Error(
+      'Failed to read the version field in your pyproject.toml file - is it present?',
+    );
+  }
+  return entries[0].value;
+};
+
+module.exports.writeVersion = function (contents, version) {
+  return replaceEntries(contents, versionEntries(contents), version);
+};
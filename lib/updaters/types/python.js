@@ -0,0 +1,18 @@
+const versionRegex =
+  /^(__version__\s*(?::\s*str\s*)?=\s*)(['"])([^'"\r\n]*)\2/m;
+
+module.exports.readVersion = function (contents) {
+  const matches = versionRegex.exec(contents);
+  if (matches === null) {
+    throw new Error(
+      'Failed to read the __version__ assignment in your python file - is it present?',
+    );
+  }
+  return matches[3];
+};
+
+module.exports.writeVersion = function (contents, version) {
+  return contents.replace(versionRegex, (_match, assignment, quote) => {
+    return `${assignment}${quote}${version}${quote}`;
+  });
+};
@@ -0,0 +1,105 @@
+const VERSION_REGEX =
+  /\d+\.\d+\.\d+(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?/g;
+const VERSION_LINE_MARKER = /^.*x-version-line.*$/gm;
+const VERSION_BLOCK_MARKER = /version:start[\s\S]*?version:end/g;
+
+function compilePattern(pattern) {
+  const source = pattern instanceof RegExp ? pattern.source : pattern;
+  const flags = pattern instanceof RegExp ? pattern.flags : 'm';
+  if (!/\(\?<version>/.test(source)) {
+    throw new Error(
+      `The pattern ${source} must capture the version in a named group: (?<version>...)`,
+    );
+  }
+  return new RegExp(source, [...new Set(`${flags}gd`)].join(''));
+}
+
+/**
+ * Locates the version matched by a user provided `pattern`, which is expected
+ * to match exactly once.
+ */
+function patternSpans(contents, options) {
+  const regex = compilePattern(options.pattern);
+  const matches = [...contents.matchAll(regex)];
+  if (matches.length !== 1) {
+    throw new Error(
+      `Expected the pattern ${regex.source} to match exactly once in ${options.filename}, but it matched ${matches.length} times.`,
+    );
+  }
+  const [match] = matches;
+  const [start, end] = match.indices.groups.version;
+  return [{ value: match.groups.version, start, end, match }];
+}
+
+/**
+ * Locates every version on a line marked with `x-version-line`, or between
+ * `version:start` and `version:end` markers.
+ */
+function markerSpans(contents, options) {
+  const spans = [];
+  for (const marker of [VERSION_LINE_MARKER, VERSION_BLOCK_MARKER]) {
+    for (const section of contents.matchAll(marker)) {
+      for (const version of section[0].matchAll(VERSION_REGEX)) {
+        const start = section.index + version.index;
+        spans.push({
+          value: version[0],
+          start,
+          end: start + version[0].length,
+        });
+      }
+    }
+  }
+  if (!spans.length) {
+    throw new Error(
+      `Expected a version marked with x-version-line or version:start/version:end in ${options.filename}, but found none.`,
+    );
+  }
+  return spans
+    .sort((a, b) => a.start - b.start)
+    .filter((span, i) => i === 0 || span.start !== spans[i - 1].start);
+}
+
+function versionSpans(contents, options = {}) {
+  return options.pattern
+    ? patternSpans(contents, options)
+    : markerSpans(contents, options);
+}
+
+/**
+ * Renders a `replacement` template, where `{{version}}` is the new version and
+ * `{{name}}` is the text captured by any other named group of the pattern.
+ */
+function renderReplacement(template, match, version) {
+  return template.replace(/{{(\w+)}}/g, (placeholder, name) => {
+    if (name === 'version') return version;
+    return match.groups[name] !== undefined ? match.groups[name] : placeholder;
+  });
+}
+
+// Configuration mistakes should abort the release rather than skip the file.
+module.exports.strict = true;
+
+module.exports.readVersion = function (contents, options) {
+  return versionSpans(contents, options)[0].value;
+};
+
+module.exports.writeVersion = function (contents, version, options = {}) {
+  const spans = versionSpans(contents, options);
+  if (options.pattern && options.replacement) {
+    const { match } = spans[0];
+    const start = match.index;
+    return (
+      contents.slice(0, start) +
+      renderReplacement(options.replacement, match, version) +
+      contents.slice(start + match[0].length)
+    );
+  }
+  return spans
+    .slice()
+    .reverse()
+    .reduce(
+      (result, span) =>
+        result.slice(0, span.start) + version + result.slice(span.end),
+      contents,
+    );
+};
@@ -0,0 +1,20 @@
+// matches `spec.version = "1.2.3"` in a gemspec and `VERSION = "1.2.3"` in a
+// `version.rb`, optionally followed by `.freeze`.
+const versionRegex =
+  /^(\s*(?:\w+\.version|VERSION)\s*=\s*)(['"])([^'"\r\n]*)\2/m;
+
+module.exports.readVersion = function (contents) {
+  const matches = versionRegex.exec(contents);
+  if (matches === null) {
+    throw new Error(
+      'Failed to read the version in your Ruby file - is it a string literal? Bump the version.rb that defines it instead.',
+    );
+  }
+  return matches[3];
+};
+
+module.exports.writeVersion = function (contents, version) {
+  return contents.replace(versionRegex, (_match, assignment, quote) => {
+    return `${assignment}${quote}${version}${quote}`;
+  });
+};
@@ -0,0 +1,49 @@
+const SECTION_HEADER = /^\s*\[([^\]]+)\]/;
+const VERSION_OPTION = /^(version\s*[=:][ \t]*)(\S.*?)\s*$/;
+const VERSION_REFERENCE = /^(attr|file):/;
+
+/**
+ * Finds the `version` option of the `[metadata]` section.
+ */
+function versionOption(contents) {
+  let section;
+  let offset = 0;
+  for (const line of contents.split('\n')) {
+    const text = line.replace(/\r$/, '');
+    const header = SECTION_HEADER.exec(text);
+    if (header) {
+      section = header[1].trim();
+    } else if (section === 'metadata') {
+      const option = VERSION_OPTION.exec(text);
+      if (option) {
+        const start = offset + option[1].length;
+        return { value: option[2], start, end: start + option[2].length };
+      }
+    }
+    offset += line.length + 1;
+  }
+}
+
+module.exports.preservesFormatting = true;
+
+module.exports.readVersion = function (contents) {
+  const option = versionOption(contents);
+  if (!option) {
+    throw new Error(
+      'Failed to read the version field in your setup.cfg file - is it present?',
+    );
+  }
+  if (VERSION_REFERENCE.test(option.value)) {
+    throw new Error(
+      `The version in your setup.cfg file is read from elsewhere (${option.value}) - bump that file instead.`,
+    );
+  }
+  return option.value;
+};
+
+module.exports.writeVersion = function (contents, version) {
+  const option = versionOption(contents);
+  // leave `attr:` and `file:` references for readVersion to report
+  if (!option || VERSION_REFERENCE.test(option.value)) return contents;
+  return contents.slice(0, option.start) + version + contents.slice(option.end);
+};
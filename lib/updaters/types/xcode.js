@@ -0,0 +1,45 @@
+const { nextBuildNumber } = require('../build-number');
+const marketingVersionRegex = /(\bMARKETING_VERSION\s*=\s*)("?)([^";\s]+)\2;/g;
+const projectVersionRegex = /(\bCURRENT_PROJECT_VERSION\s*=\s*)("?)(\d+)\2;/g;
+
+module.exports.readVersion = function (contents) {
+  const matches = new RegExp(marketingVersionRegex).exec(contents);
+  if (matches === null) {
+    throw new Error(
+      'Failed to read MARKETING_VERSION in your Xcode project - is it present?',
+    );
+  }
+  return matches[3];
+};
+
+/**
+ * Writes `MARKETING_VERSION` in every build configuration, and moves
+ * `CURRENT_PROJECT_VERSION` forward according to the `buildNumber` option of
+ * the bumpFiles entry (see `nextBuildNumber`).
+ */
+module.exports.writeVersion = function (
+  contents,
+  version,
+  options = {},
+  context = {},
+) {
+  const buildNumbers = [...contents.matchAll(projectVersionRegex)].map(
+    (matches) => Number(matches[3]),
+  );
+  const buildNumber = buildNumbers.length
+    ? nextBuildNumber(
+        Math.max(...buildNumbers),
+        version,
+        options.buildNumber,
+        context.versionScheme,
+      )
+    : undefined;
+
+  return contents
+    .replace(marketingVersionRegex, (_match, assignment, quote) => {
+      return `${assignment}${quote}${version}${quote};`;
+    })
+    .replace(projectVersionRegex, (_match, assignment, quote) => {
+      return `${assignment}${quote}${buildNumber}${quote};`;
+    });
+};
@@ -1,15 +1,16 @@
 const yaml = require('yaml');
-const detectNewline = require('detect-newline');
+const { keyPaths } = require('../key-path');
+const { replaceScalars } = require('../yaml');
 
-module.exports.readVersion = function (contents) {
-  return yaml.parse(contents).version;
-};
-
-module.exports.writeVersion = function (contents, version) {
-  const newline = detectNewline(contents);
-  const document = yaml.parseDocument(contents);
+module.exports.preservesFormatting = true;
 
-  document.set('version', version);
+module.exports.readVersion = function (contents, options = {}) {
+  return yaml.parseDocument(contents).getIn(keyPaths(options.path)[0]);
+};
 
-  return document.toString().replace(/\r?\n/g, newline);
+module.exports.writeVersion = function (contents, version, options = {}) {
+  return replaceScalars(
+    contents,
+    keyPaths(options.path).map((keyPath) => ({ keyPath, value: version })),
+  );
 };
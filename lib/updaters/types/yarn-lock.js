@@ -0,0 +1,71 @@
+const { rangeVersion, bumpRange, isLockstep } = require('../workspace-range');
+const WORKSPACE_RESOLUTION = /resolution: "?(.+?)@workspace:/g;
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds the ranges pointing at workspace packages, both in the descriptors of
+ * the lockfile entries (`"@scope/core@npm:^1.2.3, ...":`) and in their
+ * `dependencies`.
+ */
+function workspaceRanges(contents) {
+  const names = [...contents.matchAll(WORKSPACE_RESOLUTION)].map(
+    ([, name]) => name,
+  );
+  return names.flatMap((name) => {
+    const reference = new RegExp(
+      `(^|[\\s",])(${escapeRegExp(name)}(?:@|"?:\\s+"?))([^\\s",]+)`,
+      'gm',
+    );
+    return [...contents.matchAll(reference)]
+      .filter(([, , , range]) => rangeVersion(range))
+      .map(({ index, 1: before, 2: prefix, 3: range }) => {
+        const start = index + before.length + prefix.length;
+        return { name, range, start, end: start + range.length };
+      });
+  });
+}
+
+/**
+ * The version is read from the first range pointing at a workspace package
+ * released in lockstep (see `isLockstep`).
+ */
+module.exports.readVersion = function (contents, options, context) {
+  const ranges = workspaceRanges(contents);
+  const [first] = ranges
+    .filter(({ name }) => isLockstep(name, context))
+    .concat(ranges);
+  if (!first) {
+    throw new Error(
+      'Failed to find a dependency on a workspace package in your yarn.lock - is this a Yarn workspaces project?',
+    );
+  }
+  return rangeVersion(first.range);
+};
+
+/**
+ * Moves the ranges pointing at workspace packages that are released in
+ * lockstep, i.e. those based on the version being released from.
+ */
+module.exports.writeVersion = function (
+  contents,
+  version,
+  options,
+  context = {},
+) {
+  const current =
+    context.previousVersion ||
+    module.exports.readVersion(contents, options, context);
+  return workspaceRanges(contents)
+    .filter(({ name }) => isLockstep(name, context))
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, { range, start, end }) =>
+        result.slice(0, start) +
+        bumpRange(range, current, version) +
+        result.slice(end),
+      contents,
+    );
+};
@@ -0,0 +1,49 @@
+// a dependency range pinned to a single version, such as `^1.2.3`, optionally
+// using the `npm:` or `workspace:` protocol.
+const RANGE =
+  /^((?:npm:|workspace:)?(?:\^|~|>=|=)?v?)(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)$/;
+
+/**
+ * Returns the version a dependency range is based on, e.g. `1.2.3` for
+ * `^1.2.3`, if any.
+ *
+ * @param {string} range
+ * @return {string|undefined}
+ */
+function rangeVersion(range) {
+  const matches = RANGE.exec(range);
+  return matches ? matches[2] : undefined;
+}
+
+/**
+ * Moves a range based on `current` to `version`, keeping its operator and
+ * protocol. Other ranges are returned as they are.
+ *
+ * @param {string} range
+ * @param {string} current
+ * @param {string} version
+ * @return {string}
+ */
+function bumpRange(range, current, version) {
+  const matches = RANGE.exec(range);
+  return matches && matches[2] === current ? matches[1] + version : range;
+}
+
+/**
+ * Whether the workspace package `name` is released in lockstep, i.e. listed in
+ * the `packages` of the release context (see `lockstepPackages`). Without a
+ * release context, every workspace package is.
+ *
+ * @param {string} name
+ * @param {{packages?: string[]}} [context]
+ * @return {boolean}
+ */
+function isLockstep(name, context = {}) {
+  return !context.packages || context.packages.includes(name);
+}
+
+module.exports = {
+  rangeVersion,
+  bumpRange,
+  isLockstep,
+};
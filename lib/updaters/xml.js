@@ -0,0 +1,130 @@
+const TAG =
+  /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/y;
+const SKIPPED = [
+  ['<!--', '-->'],
+  ['<![CDATA[', ']]>'],
+  ['<?', '?>'],
+];
+
+function skipPast(contents, terminator, index) {
+  const end = contents.indexOf(terminator, index);
+  if (end === -1) {
+    throw new Error(`Unable to parse XML, missing ${terminator}`);
+  }
+  return end + terminator.length;
+}
+
+/**
+ * Lists the elements of an XML document with their location in `contents`,
+ * so that the text of an element can be replaced without re-serializing (and
+ * reformatting) the rest of the document.
+ *
+ * Each element's `path` is the `/` separated names of its ancestors and its
+ * own name, e.g. `project/parent/version`.
+ *
+ * @param {string} contents
+ * @return {{ name: string, path: string, attributes: string, start: number, end: number, contentStart: number, contentEnd: number, selfClosing: boolean }[]}
+ */
+function parseElements(contents) {
+  const elements = [];
+  const stack = [];
+  let index = contents.indexOf('<');
+
+  while (index !== -1) {
+    const skipped = SKIPPED.find(([opening]) =>
+      contents.startsWith(opening, index),
+    );
+    if (skipped) {
+      index = skipPast(contents, skipped[1], index);
+    } else if (contents.startsWith('<!', index)) {
+      // DOCTYPE, possibly with an internal subset
+      const subset = contents.indexOf('[', index);
+      const end = contents.indexOf('>', index);
+      index =
+        subset !== -1 && subset < end
+          ? skipPast(contents, ']>', subset)
+          : skipPast(contents, '>', index);
+    } else {
+      TAG.lastIndex = index;
+      const tag = TAG.exec(contents);
+      if (!tag) {
+        throw new Error(`Unable to parse XML near offset ${index}`);
+      }
+      const [, closing, name, attributes, selfClosing] = tag;
+      const end = index + tag[0].length;
+      if (closing) {
+        const element = stack.pop();
+        if (!element || element.name !== name) {
+          throw new Error(`Unable to parse XML, unexpected </${name}>`);
+        }
+        element.contentEnd = index;
+        element.end = end;
+      } else {
+        const element = {
+          name,
+          path: stack
+            .map((parent) => parent.name)
+            .concat(name)
+            .join('/'),
+          attributes,
+          start: index,
+          end,
+          contentStart: end,
+          contentEnd: end,
+          selfClosing: Boolean(selfClosing),
+        };
+        elements.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+      index = end;
+    }
+    index = contents.indexOf('<', index);
+  }
+
+  return elements;
+}
+
+/**
+ * Returns the first element found at `path`, if any.
+ */
+function findElement(elements, path) {
+  return elements.find((element) => element.path === path);
+}
+
+/**
+ * Returns the trimmed text content of an element.
+ */
+function textOf(contents, element) {
+  return contents.slice(element.contentStart, element.contentEnd).trim();
+}
+
+/**
+ * Replaces the text content of every given element with `text`, keeping any
+ * whitespace surrounding it. Self-closing elements are expanded.
+ */
+function replaceText(contents, elements, text) {
+  return elements
+    .slice()
+    .sort((a, b) => b.contentStart - a.contentStart)
+    .reduce((result, element) => {
+      if (element.selfClosing) {
+        const { name, attributes } = element;
+        return (
+          result.slice(0, element.start) +
+          `<${name}${attributes}>${text}</${name}>` +
+          result.slice(element.end)
+        );
+      }
+      const content = result.slice(element.contentStart, element.contentEnd);
+      const start = element.contentStart + content.search(/\S|$/);
+      const end = element.contentStart + content.trimEnd().length;
+      return result.slice(0, start) + text + result.slice(Math.max(start, end));
+    }, contents);
+}
+
+module.exports = {
+  parseElements,
+  findElement,
+  textOf,
+  replaceText,
+};
@@ -0,0 +1,64 @@
+const yaml = require('yaml');
+
+/**
+ * Renders `value` in the style (plain, single or double quoted) of the scalar
+ * it replaces.
+ */
+function renderScalar(node, value, keyPath) {
+  switch (node.type) {
+    case 'QUOTE_DOUBLE':
+      return JSON.stringify(value);
+    case 'QUOTE_SINGLE':
+      return `'${value.replace(/'/g, "''")}'`;
+    case 'PLAIN':
+      return /^[^\s,[\]{}]+$/.test(value) && String(yaml.parse(value)) === value
+        ? value
+        : JSON.stringify(value);
+    default: {
+      const err = new Error(
+        `Unable to replace the ${node.type} scalar at ${keyPath.join(
+          '.',
+        )} without reformatting the file.`,
+      );
+      err.code = 'EFORMATLOST';
+      throw err;
+    }
+  }
+}
+
+/**
+ * Replaces the scalars found at the given key paths of a YAML document by
+ * splicing their source ranges, so that comments, quoting and formatting of
+ * the rest of the document are left untouched.
+ *
+ * @param {string} contents
+ * @param {{ keyPath: Array<string|number>, value: string }[]} edits
+ * @return {string}
+ */
+function replaceScalars(contents, edits) {
+  const document = yaml.parseDocument(contents);
+  return edits
+    .map(({ keyPath, value }) => {
+      const node = document.getIn(keyPath, true);
+      if (!yaml.isScalar(node) || !node.range) {
+        throw new Error(
+          `Unable to find a scalar at ${keyPath.join(
+            '.',
+          )} to replace without reformatting the file.`,
+        );
+      }
+      const [start, end] = node.range;
+      return { start, end, text: renderScalar(node, String(value), keyPath) };
+    })
+    .sort((a, b) => b.start - a.start)
+    .filter((edit, i, sorted) => i === 0 || edit.start !== sorted[i - 1].start)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      contents,
+    );
+}
+
+module.exports = {
+  replaceScalars,
+};
@@ -0,0 +1,65 @@
+const semver = require('semver');
+const semverScheme = require('./semver');
+
+/**
+ * Calendar versions are written `YYYY.MM.MICRO` without zero padding (e.g.
+ * `2024.5.0`), which keeps them valid semver versions: git tags are found and
+ * sorted as usual, and prereleases work the same way (`2024.5.0-rc.0`).
+ */
+function calendarVersion(date) {
+  return `${date.getUTCFullYear()}.${date.getUTCMonth() + 1}`;
+}
+
+/**
+ * Computes the version released on `date`: the first one of the month, or the
+ * next `MICRO` of a month that already had a release.
+ *
+ * @param {string} currentVersion
+ * @param {string} [prerelease] the prerelease identifier, if any
+ * @param {Date} [date]
+ * @return {string}
+ */
+function nextVersion(currentVersion, prerelease, date = new Date()) {
+  const current = semver.parse(currentVersion);
+  const month = calendarVersion(date);
+  const sameMonth = current && `${current.major}.${current.minor}` === month;
+  let next;
+
+  if (!sameMonth) {
+    next = `${month}.0`;
+    if (typeof prerelease === 'string') next += `-${prerelease}.0`;
+  } else if (typeof prerelease === 'string') {
+    next = current.prerelease.length
+      ? semver.inc(current, 'prerelease', prerelease)
+      : semver.inc(current, 'prepatch', prerelease);
+  } else {
+    // a prerelease is finalized, otherwise the micro version moves on
+    next = semver.inc(current, 'patch');
+  }
+
+  if (current && semver.lte(next, current)) {
+    throw new Error(
+      `The calendar version for ${month} (${next}) does not follow the current version (${currentVersion}).`,
+    );
+  }
+  return next;
+}
+
+// the version follows the calendar, commits only drive the changelog
+module.exports.releaseTypes = [];
+
+module.exports.initialVersion = semverScheme.initialVersion;
+module.exports.parse = semverScheme.parse;
+module.exports.format = semverScheme.format;
+module.exports.compare = semverScheme.compare;
+
+/**
+ * Moves `version` to the calendar version of `options.date` (today by
+ * default), or to the version given with `--release-as`.
+ */
+module.exports.increment = function (version, release, options = {}) {
+  if (semver.valid(release)) {
+    return semverScheme.increment(version, release, options);
+  }
+  return nextVersion(version, options.prerelease, options.date);
+};
@@ -0,0 +1,59 @@
+const path = require('path');
+
+const BUILT_IN_SCHEMES = {
+  semver: require('./semver'),
+  calver: require('./calver'),
+};
+const REQUIRED_METHODS = ['parse', 'format', 'compare', 'increment'];
+
+/**
+ * Resolves the `versionScheme` option to the scheme that parses, compares,
+ * increments and formats versions: the name of a built-in scheme (`semver` or
+ * `calver`), the path to a module exporting a scheme, or the scheme itself.
+ *
+ * A scheme implements:
+ * - `parse(version)`, returning `{major, minor, patch, prerelease, build}`
+ *   (the last two being arrays of identifiers), or `null` for an invalid
+ *   version;
+ * - `format(parsed)`, the reverse of `parse`;
+ * - `compare(a, b)`, returning a negative number, zero or a positive number;
+ * - `increment(version, release, {prerelease, date})`, where `release` is one
+ *   of its `releaseTypes` or an explicit version given with `--release-as`.
+ *
+ * and optionally `releaseTypes` (the release types recommended from commits,
+ * `major`, `minor` and `patch` by default, none if versions don't follow the
+ * commits), `initialVersion` (used when no tag is found) and
+ * `preMajor(version)`.
+ */
+function resolveVersionScheme(versionScheme = 'semver') {
+  let scheme = versionScheme;
+  if (typeof versionScheme === 'string') {
+    scheme =
+      BUILT_IN_SCHEMES[versionScheme] ||
+      require(path.resolve(process.cwd(), versionScheme));
+  }
+  const missing = REQUIRED_METHODS.filter(
+    (method) => typeof (scheme && scheme[method]) !== 'function',
+  );
+  if (missing.length) {
+    throw new Error(
+      `Version scheme must be semver, calver, a path or an object with ${REQUIRED_METHODS.join(
+        ', ',
+      )} methods (missing ${missing.join(', ')})`,
+    );
+  }
+  return scheme;
+}
+
+/**
+ * Versions of the built-in schemes are valid semver versions, whose tags can
+ * be found with `git-semver-tags`.
+ */
+function isSemverCompatible(scheme) {
+  return Object.values(BUILT_IN_SCHEMES).includes(scheme);
+}
+
+module.exports = {
+  resolveVersionScheme,
+  isSemverCompatible,
+};
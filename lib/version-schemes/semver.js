@@ -0,0 +1,171 @@
+const semver = require('semver');
+
+const TypeList = ['major', 'minor', 'patch'].reverse();
+
+function isString(val) {
+  return typeof val === 'string';
+}
+
+module.exports.releaseTypes = ['major', 'minor', 'patch'];
+
+module.exports.initialVersion = '1.0.0';
+
+module.exports.parse = function (version) {
+  const parsed = semver.parse(version);
+  if (!parsed) return null;
+  const { major, minor, patch, prerelease, build } = parsed;
+  return {
+    major,
+    minor,
+    patch,
+    prerelease: [...prerelease],
+    build: [...build],
+  };
+};
+
+module.exports.format = function ({
+  major,
+  minor,
+  patch,
+  prerelease = [],
+  build = [],
+}) {
+  return [
+    [`${major}.${minor}.${patch}`, prerelease.join('.')]
+      .filter(Boolean)
+      .join('-'),
+    build.join('.'),
+  ]
+    .filter(Boolean)
+    .join('+');
+};
+
+module.exports.compare = function (a, b) {
+  return semver.compare(a, b);
+};
+
+/**
+ * Versions below `1.0.0` are still in initial development, where breaking
+ * changes only bump the minor version.
+ */
+module.exports.preMajor = function (version) {
+  return semver.lt(version, '1.0.0');
+};
+
+/**
+ * if a version is currently in pre-release state,
+ * and if it current in-pre-release type is same as expect type,
+ * it should continue the pre-release with the same type
+ *
+ * @param version
+ * @param expectType
+ * @return {boolean}
+ */
+function shouldContinuePrerelease(version, expectType) {
+  return getCurrentActiveType(version) === expectType;
+}
+
+function isInPrerelease(version) {
+  return Array.isArray(semver.prerelease(version));
+}
+
+/**
+ * extract the in-pre-release type in target version
+ *
+ * @param version
+ * @return {string}
+ */
+function getCurrentActiveType(version) {
+  const typelist = TypeList;
+  for (let i = 0; i < typelist.length; i++) {
+    if (semver[typelist[i]](version)) {
+      return typelist[i];
+    }
+  }
+}
+
+/**
+ * calculate the priority of release type,
+ * major - 2, minor - 1, patch - 0
+ *
+ * @param type
+ * @return {number}
+ */
+function getTypePriority(type) {
+  return TypeList.indexOf(type);
+}
+
+function getReleaseType(prerelease, expectedReleaseType, currentVersion) {
+  if (isString(prerelease)) {
+    if (isInPrerelease(currentVersion)) {
+      if (
+        shouldContinuePrerelease(currentVersion, expectedReleaseType) ||
+        getTypePriority(getCurrentActiveType(currentVersion)) >
+          getTypePriority(expectedReleaseType)
+      ) {
+        return 'prerelease';
+      }
+    }
+
+    return 'pre' + expectedReleaseType;
+  } else {
+    return expectedReleaseType;
+  }
+}
+
+/**
+ * Computes the version given with `--release-as`, starting or continuing a
+ * prerelease of it when a prerelease identifier is given.
+ */
+function explicitVersion(version, target, prerelease) {
+  const releaseAs = new semver.SemVer(target);
+  let newVersion;
+  if (
+    isString(prerelease) &&
+    releaseAs.prerelease.length &&
+    releaseAs.prerelease.slice(0, -1).join('.') !== prerelease
+  ) {
+    // If both releaseAs and the prerelease identifier are supplied, they must match. The behavior
+    // for a mismatch is undefined, so error out instead.
+    throw new Error(
+      'releaseAs and prerelease have conflicting prerelease identifiers',
+    );
+  } else if (isString(prerelease) && releaseAs.prerelease.length) {
+    newVersion = releaseAs.version;
+  } else if (isString(prerelease)) {
+    newVersion = `${releaseAs.major}.${releaseAs.minor}.${releaseAs.patch}-${prerelease}.0`;
+  } else {
+    newVersion = releaseAs.version;
+  }
+
+  // Check if the previous version is the same version and prerelease, and increment if so
+  if (
+    isString(prerelease) &&
+    ['prerelease', null].includes(semver.diff(version, newVersion)) &&
+    semver.lte(newVersion, version)
+  ) {
+    newVersion = semver.inc(version, 'prerelease', prerelease);
+  }
+
+  // Append any build info from releaseAs
+  return [newVersion, releaseAs.build.join('.')].filter(Boolean).join('+');
+}
+
+/**
+ * Increments `version` by a release type (`major`, `minor` or `patch`), or
+ * moves it to the version given with `--release-as`. With a `prerelease`
+ * identifier, a prerelease of the next version is started, or the current
+ * prerelease is continued if it is at least as significant.
+ *
+ * @param {string} version
+ * @param {string} release a release type, or an explicit version
+ * @param {{prerelease?: string}} [options]
+ * @return {string}
+ */
+module.exports.increment = function (version, release, options = {}) {
+  if (semver.valid(release)) {
+    return explicitVersion(version, release, options.prerelease);
+  }
+  const releaseType = getReleaseType(options.prerelease, release, version);
+  return semver.inc(version, releaseType, options.prerelease);
+};
@@ -860,7 +860,7 @@ describe('cli', function () {
       await exec();
       verifyFileContentEquals({
         writeFileSyncSpy,
-        content: '{\n  "version": "1.0.1"\n}\n',
+        content: '{"version":"1.0.1"}\n',
       });
     });
 
@@ -970,6 +970,69 @@ describe('cli', function () {
       verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.1.0' });
     });
 
+    it('writes a numeric version and a version_name to browser extension manifests', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'manifest.json',
+            value: {
+              manifest_version: 3,
+              name: 'My Extension',
+              version: '1.3.0.2',
+              version_name: '1.3.0-beta.2',
+            },
+          },
+        ],
+      });
+      await exec({
+        packageFiles: ['manifest.json'],
+        bumpFiles: ['manifest.json'],
+        prerelease: 'beta',
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: JSON.stringify({
+          manifest_version: 3,
+          name: 'My Extension',
+          version: '1.3.0.3',
+          version_name: '1.3.0-beta.3',
+        }).concat('\n'),
+        filename: 'manifest.json',
+      });
+    });
+
+    it('keeps the numeric version of browser extensions increasing from a prerelease to its final release', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'manifest.json',
+            value: {
+              manifest_version: 3,
+              version: '1.3.0.2',
+              version_name: '1.3.0-beta.2',
+            },
+          },
+        ],
+      });
+      await exec({
+        packageFiles: ['manifest.json'],
+        bumpFiles: ['manifest.json'],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: JSON.stringify({
+          manifest_version: 3,
+          version: '1.3.0.3',
+          version_name: '1.3.0',
+        }).concat('\n'),
+        filename: 'manifest.json',
+      });
+    });
+
     describe('custom `bumpFiles` support', function () {
       afterEach(unmock);
 
@@ -1029,6 +1092,164 @@ describe('cli', function () {
         });
       });
 
+      it('awaits async updaters', async function () {
+        const updater = {
+          filename: 'VERSION_TRACKER.txt',
+          updater: {
+            readVersion: async (contents) => contents.trim(),
+            writeVersion: async (_contents, version) => `${version}\n`,
+          },
+        };
+        mock({
+          bump: 'minor',
+          realTestFiles: [
+            {
+              filename: 'VERSION_TRACKER.txt',
+              path: './test/mocks/VERSION-6.3.1.txt',
+            },
+          ],
+        });
+        await exec({ packageFiles: [updater], bumpFiles: [updater] });
+
+        verifyPackageVersion({
+          writeFileSyncSpy,
+          expectedVersion: '6.4.0',
+          filename: 'VERSION_TRACKER.txt',
+          asString: true,
+        });
+      });
+
+      it('expands glob patterns, skipping gitignored files', async function () {
+        const expected = fs.readFileSync(
+          './test/mocks/Cargo-6.4.0.toml',
+          'utf-8',
+        );
+        mock({
+          bump: 'minor',
+          testFiles: [
+            { path: 'package.json', value: { version: '6.3.1' } },
+            { path: '.gitignore', value: 'test/mocks/*.lock\n' },
+          ],
+        });
+        await exec({
+          bumpFiles: [
+            'package.json',
+            { filename: 'test/mocks/Cargo-6.3.*', type: 'cargo' },
+          ],
+        });
+
+        verifyFileContentEquals({
+          writeFileSyncSpy,
+          content: expected,
+          filename: 'test/mocks/Cargo-6.3.1.toml',
+        });
+        expect(
+          findWriteFileCallForPath({
+            writeFileSyncSpy,
+            filename: 'test/mocks/Cargo-6.3.1.lock',
+          }),
+        ).toBeUndefined();
+      });
+
+      it('leaves out glob matches in gitignored directories', async function () {
+        const updater = {
+          readVersion: () => '6.3.1',
+          writeVersion: (_contents, version) => `${version}\n`,
+        };
+        mock({
+          bump: 'minor',
+          testFiles: [
+            { path: 'package.json', value: { version: '6.3.1' } },
+            { path: '.gitignore', value: 'node_modules\nupdater/\n' },
+          ],
+        });
+        await exec({
+          bumpFiles: [
+            'package.json',
+            { filename: 'test/mocks/*/*.js', updater },
+          ],
+        });
+
+        verifyFileContentEquals({
+          writeFileSyncSpy,
+          content: '6.4.0\n',
+          filename: 'test/mocks/version-scheme/sequential.js',
+        });
+        expect(
+          findWriteFileCallForPath({
+            writeFileSyncSpy,
+            filename: 'test/mocks/updater/',
+          }),
+        ).toBeUndefined();
+      });
+
+      it('bumps a `regex` file using a named `version` group', async function () {
+        const expected = fs.readFileSync(
+          './test/mocks/Dockerfile-6.4.0',
+          'utf-8',
+        );
+        mock({
+          bump: 'minor',
+          realTestFiles: [
+            { filename: 'Dockerfile', path: './test/mocks/Dockerfile-6.3.1' },
+          ],
+          testFiles: [{ path: 'package.json', value: { version: '6.3.1' } }],
+        });
+        await exec({
+          bumpFiles: [
+            {
+              filename: 'Dockerfile',
+              type: 'regex',
+              pattern: '^LABEL version="(?<version>[^"]+)"$',
+              replacement: 'LABEL version="{{version}}"',
+            },
+          ],
+        });
+        verifyFileContentEquals({
+          writeFileSyncSpy,
+          content: expected,
+          filename: 'Dockerfile',
+        });
+      });
+
+      it('bumps versions next to `regex` markers', async function () {
+        mock({
+          bump: 'minor',
+          realTestFiles: [
+            { filename: 'README.md', path: './test/mocks/README-6.3.1.md' },
+          ],
+          testFiles: [{ path: 'package.json', value: { version: '6.3.1' } }],
+        });
+        await exec({
+          bumpFiles: [{ filename: 'README.md', type: 'regex' }],
+        });
+        verifyFileContentEquals({
+          writeFileSyncSpy,
+          content: fs.readFileSync('./test/mocks/README-6.4.0.md', 'utf-8'),
+          filename: 'README.md',
+        });
+      });
+
+      it('exits with error if a `regex` pattern does not match exactly once', async function () {
+        mock({
+          bump: 'minor',
+          realTestFiles: [
+            { filename: 'Dockerfile', path: './test/mocks/Dockerfile-6.3.1' },
+          ],
+        });
+        await expect(
+          exec({
+            bumpFiles: [
+              {
+                filename: 'Dockerfile',
+                type: 'regex',
+                pattern: '(?<version>\\d+\\.\\d+\\.\\d+)',
+              },
+            ],
+          }),
+        ).rejects.toThrow(/matched 2 times/);
+      });
+
       it('displays the new version from custom bumper with --dry-run', async function () {
         mock({
           bump: 'minor',
@@ -1248,6 +1469,54 @@ describe('cli', function () {
       expect(calledWithContentStr).toEqual(expected);
     });
 
+    it('bumps the parent version in a Maven module `pom.xml` file, preserving its formatting', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/pom-module-6.4.0.xml',
+        'utf-8',
+      );
+      const filename = 'pom.xml';
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          { filename, path: './test/mocks/pom-module-6.3.1.xml' },
+        ],
+      });
+      await exec({
+        packageFiles: [{ filename, type: 'maven' }],
+        bumpFiles: [{ filename, type: 'maven' }],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected,
+        filename,
+      });
+    });
+
+    it('bumps the `${revision}` property in a Maven `pom.xml` file', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/pom-revision-6.4.0.xml',
+        'utf-8',
+      );
+      const filename = 'pom.xml';
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          { filename, path: './test/mocks/pom-revision-6.3.1.xml' },
+        ],
+      });
+      await exec({
+        packageFiles: [{ filename, type: 'maven' }],
+        bumpFiles: [{ filename, type: 'maven' }],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected,
+        filename,
+      });
+    });
+
     it('bumps version in Gradle `build.gradle.kts` file', async function () {
       const expected = fs.readFileSync(
         './test/mocks/build-6.4.0.gradle.kts',
@@ -1284,108 +1553,150 @@ describe('cli', function () {
       expect(calledWithContentStr).toEqual(expected);
     });
 
-    it('bumps version in .NET `Project.csproj` file', async function () {
+    it('bumps version with build metadata in Gradle `build.gradle` file', async function () {
       const expected = fs.readFileSync(
-        './test/mocks/Project-6.4.0.csproj',
+        './test/mocks/build-6.4.0.gradle',
         'utf-8',
       );
-      const filename = 'Project.csproj';
+      const filename = 'build.gradle';
+      mock({
+        bump: 'minor',
+        realTestFiles: [{ filename, path: './test/mocks/build-6.3.1.gradle' }],
+      });
+      await exec({ packageFiles: [filename], bumpFiles: [filename] });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected,
+        filename,
+      });
+    });
+
+    it('bumps prerelease version in `gradle.properties` file', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/gradle-6.4.0-rc.0.properties',
+        'utf-8',
+      );
+      const filename = 'gradle.properties';
       mock({
         bump: 'minor',
         realTestFiles: [
-          {
-            filename,
-            path: './test/mocks/Project-6.3.1.csproj',
-          },
+          { filename, path: './test/mocks/gradle-6.3.1-rc.0.properties' },
         ],
       });
       await exec({
-        packageFiles: [{ filename, type: 'csproj' }],
-        bumpFiles: [{ filename, type: 'csproj' }],
+        packageFiles: [filename],
+        bumpFiles: [filename],
+        prerelease: 'rc',
       });
 
-      // filePath is the first arg passed to writeFileSync
-      const packageJsonWriteFileSynchCall = findWriteFileCallForPath({
+      verifyFileContentEquals({
         writeFileSyncSpy,
+        content: expected,
         filename,
       });
-
-      if (!packageJsonWriteFileSynchCall) {
-        throw new Error(`writeFileSynch not invoked with path ${filename}`);
-      }
-
-      const calledWithContentStr = packageJsonWriteFileSynchCall[1];
-      expect(calledWithContentStr).toEqual(expected);
     });
 
-    it('bumps version # in npm-shrinkwrap.json', async function () {
+    it('bumps versionName and versionCode in Android `build.gradle` file', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/android-6.4.0.gradle',
+        'utf-8',
+      );
+      const filename = 'android/app/build.gradle';
       mock({
         bump: 'minor',
-        testFiles: [
-          {
-            path: 'npm-shrinkwrap.json',
-            value: { version: '1.0.0' },
-          },
+        realTestFiles: [
+          { filename, path: './test/mocks/android-6.3.1.gradle' },
         ],
-        tags: ['v1.0.0'],
+      });
+      await exec({
+        packageFiles: [{ filename, type: 'android' }],
+        bumpFiles: [{ filename, type: 'android' }],
       });
 
-      await exec();
-
-      verifyPackageVersion({
+      verifyFileContentEquals({
         writeFileSyncSpy,
-        expectedVersion: '1.1.0',
-        filename: 'npm-shrinkwrap.json',
+        content: expected,
+        filename,
       });
-      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.1.0' });
     });
 
-    it('bumps version # in package-lock.json', async function () {
+    it('derives versionCode from a formula in Android `build.gradle.kts` file', async function () {
+      const filename = 'android/app/build.gradle.kts';
       mock({
         bump: 'minor',
         testFiles: [
           {
-            path: '.gitignore',
-            value: '',
-          },
-          {
-            path: 'package-lock.json',
-            value: { version: '1.0.0' },
+            path: filename,
+            value: 'versionCode = 60301\nversionName = "6.3.1"\n',
           },
         ],
-        tags: ['v1.0.0'],
       });
-      await exec();
+      const updater = {
+        filename,
+        type: 'android',
+        versionCode: 'major * 10000 + minor * 100 + patch',
+      };
+      await exec({ packageFiles: [updater], bumpFiles: [updater] });
 
-      verifyPackageVersion({
+      verifyFileContentEquals({
         writeFileSyncSpy,
-        expectedVersion: '1.1.0',
-        filename: 'package-lock.json',
+        content: 'versionCode = 60400\nversionName = "6.4.0"\n',
+        filename,
       });
-      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.1.0' });
     });
 
-    it('bumps version in Dart `pubspec.yaml` file', async function () {
-      const expected = fs.readFileSync(
-        './test/mocks/pubspec-6.4.0.yaml',
+    it('bumps versions and build numbers in Xcode `project.pbxproj` and `Info.plist` files', async function () {
+      const expectedProject = fs.readFileSync(
+        './test/mocks/project-6.4.0.pbxproj',
         'utf-8',
       );
-
-      const filename = 'pubspec.yaml';
+      const expectedPlist = fs.readFileSync(
+        './test/mocks/Info-6.4.0.plist',
+        'utf-8',
+      );
+      const project = 'ios/MyApp.xcodeproj/project.pbxproj';
+      const plist = 'ios/MyApp/Info.plist';
       mock({
         bump: 'minor',
         realTestFiles: [
-          {
-            filename,
-            path: './test/mocks/pubspec-6.3.1.yaml',
-          },
+          { filename: project, path: './test/mocks/project-6.3.1.pbxproj' },
+          { filename: plist, path: './test/mocks/Info-6.3.1.plist' },
         ],
       });
+      await exec({ packageFiles: [project], bumpFiles: [project, plist] });
 
-      await exec({
-        packageFiles: [{ filename, type: 'yaml' }],
-        bumpFiles: [{ filename, type: 'yaml' }],
-      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expectedProject,
+        filename: project,
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expectedPlist,
+        filename: plist,
+      });
+    });
+
+    it('bumps version in .NET `Project.csproj` file', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/Project-6.4.0.csproj',
+        'utf-8',
+      );
+      const filename = 'Project.csproj';
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          {
+            filename,
+            path: './test/mocks/Project-6.3.1.csproj',
+          },
+        ],
+      });
+      await exec({
+        packageFiles: [{ filename, type: 'csproj' }],
+        bumpFiles: [{ filename, type: 'csproj' }],
+      });
 
       // filePath is the first arg passed to writeFileSync
       const packageJsonWriteFileSynchCall = findWriteFileCallForPath({
@@ -1401,40 +1712,808 @@ describe('cli', function () {
       expect(calledWithContentStr).toEqual(expected);
     });
 
-    it('bumps version in Dart `pubspec.yaml` file with CRLF line endings', async function () {
-      const expected = fs.readFileSync(
-        './test/mocks/pubspec-6.4.0-crlf.yaml',
-        'utf-8',
-      );
+    it('bumps version in Rust `Cargo.toml` and `Cargo.lock` files', async function () {
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          { filename: 'Cargo.toml', path: './test/mocks/Cargo-6.3.1.toml' },
+          { filename: 'Cargo.lock', path: './test/mocks/Cargo-6.3.1.lock' },
+        ],
+      });
+      await exec({
+        packageFiles: ['Cargo.toml'],
+        bumpFiles: ['Cargo.toml', 'Cargo.lock'],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/Cargo-6.4.0.toml', 'utf-8'),
+        filename: 'Cargo.toml',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/Cargo-6.4.0.lock', 'utf-8'),
+        filename: 'Cargo.lock',
+      });
+    });
+
+    it('bumps the released crate of a `Cargo.lock` with several local crates', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          { path: 'Cargo.toml', value: '[package]\nversion = "1.0.0"\n' },
+        ],
+        realTestFiles: [
+          {
+            filename: 'Cargo.lock',
+            path: './test/mocks/Cargo-two-crates-1.0.0.lock',
+          },
+        ],
+      });
+      const result = await exec({
+        packageFiles: ['Cargo.toml'],
+        bumpFiles: ['Cargo.toml', 'Cargo.lock'],
+        consistencyCheck: 'strict',
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync(
+          './test/mocks/Cargo-two-crates-1.1.0.lock',
+          'utf-8',
+        ),
+        filename: 'Cargo.lock',
+      });
+      expect(result.files[1]).toEqual({
+        filename: 'Cargo.lock',
+        status: 'bumped',
+        from: '1.0.0',
+        to: '1.1.0',
+      });
+    });
+
+    it('reads the version of a `Cargo.lock` from the crate named in `Cargo.toml`', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'Cargo.toml',
+            value: '[package]\nname = "mycrate"\nversion = "1.0.0"\n',
+          },
+        ],
+        realTestFiles: [
+          {
+            filename: 'Cargo.lock',
+            path: './test/mocks/Cargo-two-crates-1.0.0.lock',
+          },
+        ],
+      });
+      const result = await exec({
+        packageFiles: ['Cargo.toml'],
+        bumpFiles: ['Cargo.toml', 'Cargo.lock'],
+      });
+
+      expect(result.files[1]).toEqual({
+        filename: 'Cargo.lock',
+        status: 'bumped',
+        from: '1.0.0',
+        to: '1.1.0',
+      });
+    });
+
+    it('bumps version in Python `pyproject.toml`, `setup.cfg` and `__version__` files', async function () {
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          {
+            filename: 'pyproject.toml',
+            path: './test/mocks/pyproject-6.3.1.toml',
+          },
+          { filename: 'setup.cfg', path: './test/mocks/setup-6.3.1.cfg' },
+          {
+            filename: 'my_sdk/_version.py',
+            path: './test/mocks/version-6.3.1.py',
+          },
+        ],
+      });
+      await exec({
+        packageFiles: ['pyproject.toml'],
+        bumpFiles: ['pyproject.toml', 'setup.cfg', 'my_sdk/_version.py'],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/pyproject-6.4.0.toml', 'utf-8'),
+        filename: 'pyproject.toml',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/setup-6.4.0.cfg', 'utf-8'),
+        filename: 'setup.cfg',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/version-6.4.0.py', 'utf-8'),
+        filename: 'my_sdk/_version.py',
+      });
+    });
+
+    it('bumps version in `composer.json`, Ruby, Elixir and CMake files', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          { path: 'composer.json', value: { name: 'mock', version: '6.3.1' } },
+        ],
+        realTestFiles: [
+          {
+            filename: 'my_gem.gemspec',
+            path: './test/mocks/my_gem-6.3.1.gemspec',
+          },
+          {
+            filename: 'lib/my_gem/version.rb',
+            path: './test/mocks/version-6.3.1.rb',
+          },
+          { filename: 'mix.exs', path: './test/mocks/mix-6.3.1.exs' },
+          {
+            filename: 'CMakeLists.txt',
+            path: './test/mocks/CMakeLists-6.3.1.txt',
+          },
+        ],
+      });
+      await exec({
+        packageFiles: ['composer.json'],
+        bumpFiles: [
+          'composer.json',
+          'my_gem.gemspec',
+          'lib/my_gem/version.rb',
+          'mix.exs',
+          'CMakeLists.txt',
+        ],
+      });
+
+      verifyPackageVersion({
+        writeFileSyncSpy,
+        expectedVersion: '6.4.0',
+        filename: 'composer.json',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/my_gem-6.4.0.gemspec', 'utf-8'),
+        filename: 'my_gem.gemspec',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/version-6.4.0.rb', 'utf-8'),
+        filename: 'lib/my_gem/version.rb',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/mix-6.4.0.exs', 'utf-8'),
+        filename: 'mix.exs',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/CMakeLists-6.4.0.txt', 'utf-8'),
+        filename: 'CMakeLists.txt',
+      });
+    });
+
+    it('maps a prerelease version to .NET `Directory.Build.props`, `AssemblyInfo.cs` and `.nuspec` files', async function () {
+      const expected = {
+        props: fs.readFileSync(
+          './test/mocks/Directory.Build-6.4.0-rc.0.props',
+          'utf-8',
+        ),
+        assemblyInfo: fs.readFileSync(
+          './test/mocks/AssemblyInfo-6.4.0-rc.0.cs',
+          'utf-8',
+        ),
+        nuspec: fs.readFileSync(
+          './test/mocks/MyLibrary-6.4.0-rc.0.nuspec',
+          'utf-8',
+        ),
+      };
+      const props = 'Directory.Build.props';
+      const assemblyInfo = 'Properties/AssemblyInfo.cs';
+      const nuspec = 'MyLibrary.nuspec';
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          {
+            filename: props,
+            path: './test/mocks/Directory.Build-6.3.1.props',
+          },
+          {
+            filename: assemblyInfo,
+            path: './test/mocks/AssemblyInfo-6.3.1.cs',
+          },
+          { filename: nuspec, path: './test/mocks/MyLibrary-6.3.1.nuspec' },
+        ],
+      });
+      await exec({
+        packageFiles: [props],
+        bumpFiles: [props, assemblyInfo, nuspec],
+        prerelease: 'rc',
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected.props,
+        filename: props,
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected.assemblyInfo,
+        filename: assemblyInfo,
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected.nuspec,
+        filename: nuspec,
+      });
+    });
+
+    it('bumps version # in npm-shrinkwrap.json', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'npm-shrinkwrap.json',
+            value: { version: '1.0.0' },
+          },
+        ],
+        tags: ['v1.0.0'],
+      });
+
+      await exec();
+
+      verifyPackageVersion({
+        writeFileSyncSpy,
+        expectedVersion: '1.1.0',
+        filename: 'npm-shrinkwrap.json',
+      });
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.1.0' });
+    });
+
+    it('bumps version # in package-lock.json', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: '.gitignore',
+            value: '',
+          },
+          {
+            path: 'package-lock.json',
+            value: { version: '1.0.0' },
+          },
+        ],
+        tags: ['v1.0.0'],
+      });
+      await exec();
+
+      verifyPackageVersion({
+        writeFileSyncSpy,
+        expectedVersion: '1.1.0',
+        filename: 'package-lock.json',
+      });
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.1.0' });
+    });
+
+    it('bumps workspace packages and the ranges pointing at them in lockfiles', async function () {
+      const lockfile = (version) =>
+        fs.readFileSync(
+          `./test/mocks/package-lock-workspaces-${version}.json`,
+          'utf-8',
+        );
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'packages/cli/package.json',
+            value: { name: '@mock/cli', version: '6.3.1' },
+          },
+          {
+            path: 'packages/core/package.json',
+            value: { name: '@mock/core', version: '6.3.1' },
+          },
+          { path: 'package.json', value: { version: '6.3.1' } },
+          { path: 'package-lock.json', value: lockfile('6.3.1') },
+        ],
+        realTestFiles: [
+          { filename: 'yarn.lock', path: './test/mocks/yarn-6.3.1.lock' },
+          {
+            filename: 'pnpm-lock.yaml',
+            path: './test/mocks/pnpm-lock-6.3.1.yaml',
+          },
+        ],
+      });
+      await exec({
+        bumpFiles: [
+          'package.json',
+          'packages/cli/package.json',
+          'packages/core/package.json',
+          'package-lock.json',
+          'yarn.lock',
+          'pnpm-lock.yaml',
+        ],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: lockfile('6.4.0'),
+        filename: 'package-lock.json',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/yarn-6.4.0.lock', 'utf-8'),
+        filename: 'yarn.lock',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/pnpm-lock-6.4.0.yaml', 'utf-8'),
+        filename: 'pnpm-lock.yaml',
+      });
+    });
+
+    it('leaves the workspace packages whose `package.json` is not bumped alone in lockfiles', async function () {
+      const lockfile = fs.readFileSync(
+        './test/mocks/package-lock-workspaces-6.3.1.json',
+        'utf-8',
+      );
+      mock({
+        bump: 'minor',
+        testFiles: [
+          { path: 'package.json', value: { version: '6.3.1' } },
+          { path: 'package-lock.json', value: lockfile },
+        ],
+        realTestFiles: [
+          { filename: 'yarn.lock', path: './test/mocks/yarn-6.3.1.lock' },
+          {
+            filename: 'pnpm-lock.yaml',
+            path: './test/mocks/pnpm-lock-6.3.1.yaml',
+          },
+        ],
+      });
+      await exec({
+        bumpFiles: [
+          'package.json',
+          'package-lock.json',
+          'yarn.lock',
+          'pnpm-lock.yaml',
+        ],
+      });
+
+      const written = JSON.parse(
+        findWriteFileCallForPath({
+          writeFileSyncSpy,
+          filename: 'package-lock.json',
+        })[1],
+      );
+      expect(written.version).toEqual('6.4.0');
+      expect(written.packages[''].version).toEqual('6.4.0');
+      expect(written.packages['packages/cli'].version).toEqual('6.3.1');
+      expect(written.packages['packages/core'].version).toEqual('6.3.1');
+      expect(written.packages['packages/cli'].dependencies).toEqual(
+        expect.objectContaining({ '@mock/core': '~6.3.1' }),
+      );
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/yarn-6.3.1.lock', 'utf-8'),
+        filename: 'yarn.lock',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: fs.readFileSync('./test/mocks/pnpm-lock-6.3.1.yaml', 'utf-8'),
+        filename: 'pnpm-lock.yaml',
+      });
+    });
+
+    it('bumps the lockstep ranges of a `yarn.lock` from the previous version', async function () {
+      const yarnLock = (version) =>
+        [
+          '"@mock/cli@workspace:packages/cli":',
+          '  resolution: "@mock/cli@workspace:packages/cli"',
+          '  dependencies:',
+          '    "@mock/legacy": "npm:^2.0.0"',
+          `    "@mock/core": "npm:^${version}"`,
+          '',
+          '"@mock/legacy@npm:^2.0.0, @mock/legacy@workspace:packages/legacy":',
+          '  resolution: "@mock/legacy@workspace:packages/legacy"',
+          '',
+          `"@mock/core@npm:^${version}, @mock/core@workspace:packages/core":`,
+          '  resolution: "@mock/core@workspace:packages/core"',
+          '',
+        ].join('\n');
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'packages/core/package.json',
+            value: { name: '@mock/core', version: '6.3.1' },
+          },
+          { path: 'package.json', value: { version: '6.3.1' } },
+          { path: 'yarn.lock', value: yarnLock('6.3.1') },
+        ],
+      });
+      await exec({
+        bumpFiles: ['package.json', 'packages/core/package.json', 'yarn.lock'],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: yarnLock('6.4.0'),
+        filename: 'yarn.lock',
+      });
+    });
+
+    it('bumps the ranges pointing at workspace packages in their `package.json` files', async function () {
+      const manifest = (name, version, dependencies) =>
+        JSON.stringify({ name, version, dependencies }, null, 2) + '\n';
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'packages/cli/package.json',
+            value: manifest('@mock/cli', '6.3.1', {
+              '@mock/core': '~6.3.1',
+              '@mock/legacy': '^2.0.0',
+              semver: '^6.3.1',
+            }),
+          },
+          {
+            path: 'packages/core/package.json',
+            value: manifest('@mock/core', '6.3.1', {}),
+          },
+          {
+            path: 'package.json',
+            value: manifest('mock-monorepo', '6.3.1', {
+              '@mock/cli': 'workspace:^6.3.1',
+            }),
+          },
+        ],
+      });
+      await exec({
+        bumpFiles: [
+          'package.json',
+          'packages/cli/package.json',
+          'packages/core/package.json',
+        ],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: manifest('mock-monorepo', '6.4.0', {
+          '@mock/cli': 'workspace:^6.4.0',
+        }),
+        filename: `${process.cwd()}/package.json`,
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: manifest('@mock/cli', '6.4.0', {
+          '@mock/core': '~6.4.0',
+          '@mock/legacy': '^2.0.0',
+          semver: '^6.3.1',
+        }),
+        filename: 'packages/cli/package.json',
+      });
+    });
+
+    it('bumps version in Dart `pubspec.yaml` file', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/pubspec-6.4.0.yaml',
+        'utf-8',
+      );
+
+      const filename = 'pubspec.yaml';
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          {
+            filename,
+            path: './test/mocks/pubspec-6.3.1.yaml',
+          },
+        ],
+      });
+
+      await exec({
+        packageFiles: [{ filename, type: 'yaml' }],
+        bumpFiles: [{ filename, type: 'yaml' }],
+      });
+
+      // filePath is the first arg passed to writeFileSync
+      const packageJsonWriteFileSynchCall = findWriteFileCallForPath({
+        writeFileSyncSpy,
+        filename,
+      });
+
+      if (!packageJsonWriteFileSynchCall) {
+        throw new Error(`writeFileSynch not invoked with path ${filename}`);
+      }
+
+      const calledWithContentStr = packageJsonWriteFileSynchCall[1];
+      expect(calledWithContentStr).toEqual(expected);
+    });
+
+    it('bumps version in Dart `pubspec.yaml` file with CRLF line endings', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/pubspec-6.4.0-crlf.yaml',
+        'utf-8',
+      );
+
+      const filename = 'pubspec.yaml';
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          {
+            filename,
+            path: './test/mocks/pubspec-6.3.1-crlf.yaml',
+          },
+        ],
+      });
+
+      await exec({
+        packageFiles: [{ filename, type: 'yaml' }],
+        bumpFiles: [{ filename, type: 'yaml' }],
+      });
+
+      // filePath is the first arg passed to writeFileSync
+      const packageJsonWriteFileSynchCall = findWriteFileCallForPath({
+        writeFileSyncSpy,
+        filename,
+      });
+
+      if (!packageJsonWriteFileSynchCall) {
+        throw new Error(`writeFileSynch not invoked with path ${filename}`);
+      }
+
+      const calledWithContentStr = packageJsonWriteFileSynchCall[1];
+      expect(calledWithContentStr).toEqual(expected);
+    });
+
+    it('increments the build number of a Flutter `pubspec.yaml` version', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/pubspec-6.4.0+42.yaml',
+        'utf-8',
+      );
+      const filename = 'pubspec.yaml';
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          { filename, path: './test/mocks/pubspec-6.3.1+41.yaml' },
+        ],
+      });
+      await exec({ packageFiles: [filename], bumpFiles: [filename] });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected,
+        filename,
+      });
+    });
+
+    it('keeps build metadata that is not a number in a `pubspec.yaml` version', async function () {
+      const filename = 'pubspec.yaml';
+      mock({
+        bump: 'minor',
+        testFiles: [
+          { path: filename, value: 'name: my_app\nversion: 6.3.1+build.7\n' },
+        ],
+      });
+      await exec({ packageFiles: [filename], bumpFiles: [filename] });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: 'name: my_app\nversion: 6.4.0+build.7\n',
+        filename,
+      });
+    });
+
+    it('only rewrites the version values of JSON files', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'package.json',
+            value:
+              '{\n  "name": "caf\\u00e9",\n  "version": "1.0.0",\n  "files": ["index.js", "lib"]\n}\n',
+          },
+        ],
+      });
+      await exec();
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content:
+          '{\n  "name": "caf\\u00e9",\n  "version": "1.1.0",\n  "files": ["index.js", "lib"]\n}\n',
+      });
+    });
+
+    it('adds the version_name of browser extension manifests in the style of the file', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'manifest.json',
+            value:
+              '{\n    "manifest_version": 3,\n    "version": "1.2.0",\n    "permissions": ["storage", "tabs"]\n}\n',
+          },
+        ],
+      });
+      await exec({
+        packageFiles: ['manifest.json'],
+        bumpFiles: ['manifest.json'],
+        prerelease: 'beta',
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content:
+          '{\n    "manifest_version": 3,\n    "version": "1.3.0.0",\n    "permissions": ["storage", "tabs"],\n    "version_name": "1.3.0-beta.0"\n}\n',
+        filename: 'manifest.json',
+      });
+    });
+
+    it('bumps version at a nested `path` in a JSON file', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          {
+            path: 'app.json',
+            value: { expo: { name: 'my-app', version: '6.3.1' } },
+          },
+        ],
+      });
+      await exec({
+        packageFiles: [
+          { filename: 'app.json', type: 'json', path: 'expo.version' },
+        ],
+        bumpFiles: [
+          { filename: 'app.json', type: 'json', path: 'expo.version' },
+        ],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: JSON.stringify({
+          expo: { name: 'my-app', version: '6.4.0' },
+        }).concat('\n'),
+        filename: 'app.json',
+      });
+    });
+
+    it('bumps version at several nested `path`s in a YAML file', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/deployment-6.4.0.yaml',
+        'utf-8',
+      );
+      const filename = 'deployment.yaml';
+      const updater = {
+        filename,
+        path: [
+          'spec.template.metadata.labels.version',
+          'metadata.labels.version',
+        ],
+      };
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          { filename, path: './test/mocks/deployment-6.3.1.yaml' },
+        ],
+      });
+      await exec({ packageFiles: [updater], bumpFiles: [updater] });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected,
+        filename,
+      });
+    });
+
+    it('only changes the version scalar of a YAML file', async function () {
+      const expected = fs.readFileSync(
+        './test/mocks/config-6.4.0.yml',
+        'utf-8',
+      );
+      const filename = 'config.yml';
+      mock({
+        bump: 'minor',
+        realTestFiles: [{ filename, path: './test/mocks/config-6.3.1.yml' }],
+      });
+      await exec({ packageFiles: [filename], bumpFiles: [filename] });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected,
+        filename,
+      });
+    });
+
+    it('fails instead of reformatting a YAML file', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          { path: 'package.json', value: { version: '6.3.1' } },
+          { path: 'config.yml', value: 'name: mock\nversion: >-\n  6.3.1\n' },
+        ],
+      });
+
+      await expect(
+        exec({ bumpFiles: ['package.json', 'config.yml'] }),
+      ).rejects.toThrow(/without reformatting/);
+      expect(
+        findWriteFileCallForPath({ writeFileSyncSpy, filename: 'config.yml' }),
+      ).toBeUndefined();
+    });
+
+    it('bumps a Helm chart with separate `version` and `appVersion` policies', async function () {
+      const expectedChart = fs.readFileSync(
+        './test/mocks/Chart-6.4.0.yaml',
+        'utf-8',
+      );
+      const expectedValues = fs.readFileSync(
+        './test/mocks/values-6.4.0.yaml',
+        'utf-8',
+      );
+      mock({
+        bump: 'minor',
+        realTestFiles: [
+          { filename: 'Chart.yaml', path: './test/mocks/Chart-6.3.1.yaml' },
+          { filename: 'values.yaml', path: './test/mocks/values-6.3.1.yaml' },
+        ],
+      });
+      await exec({
+        packageFiles: [
+          { filename: 'Chart.yaml', version: 'patch', appVersion: 'release' },
+        ],
+        bumpFiles: [
+          { filename: 'Chart.yaml', version: 'patch', appVersion: 'release' },
+          { filename: 'values.yaml', type: 'helm', appVersion: 'release' },
+        ],
+      });
+
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expectedChart,
+        filename: 'Chart.yaml',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expectedValues,
+        filename: 'values.yaml',
+      });
+    });
 
-      const filename = 'pubspec.yaml';
+    it('keeps the Helm `appVersion` and image tag unless a policy is given', async function () {
       mock({
         bump: 'minor',
-        realTestFiles: [
+        testFiles: [
+          { path: 'package.json', value: { version: '6.3.1' } },
           {
-            filename,
-            path: './test/mocks/pubspec-6.3.1-crlf.yaml',
+            path: 'Chart.yaml',
+            value: 'version: 6.3.1\nappVersion: "2.0.0"\n',
           },
+          { path: 'values.yaml', value: 'image:\n  tag: v2.3.4\n' },
         ],
       });
-
       await exec({
-        packageFiles: [{ filename, type: 'yaml' }],
-        bumpFiles: [{ filename, type: 'yaml' }],
+        bumpFiles: [
+          'package.json',
+          'Chart.yaml',
+          { filename: 'values.yaml', type: 'helm' },
+        ],
       });
 
-      // filePath is the first arg passed to writeFileSync
-      const packageJsonWriteFileSynchCall = findWriteFileCallForPath({
+      verifyFileContentEquals({
         writeFileSyncSpy,
-        filename,
+        content: 'version: 6.4.0\nappVersion: "2.0.0"\n',
+        filename: 'Chart.yaml',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: 'image:\n  tag: v2.3.4\n',
+        filename: 'values.yaml',
       });
-
-      if (!packageJsonWriteFileSynchCall) {
-        throw new Error(`writeFileSynch not invoked with path ${filename}`);
-      }
-
-      const calledWithContentStr = packageJsonWriteFileSynchCall[1];
-      expect(calledWithContentStr).toEqual(expected);
     });
 
     describe('skip', function () {
@@ -1562,6 +2641,383 @@ describe('cli', function () {
     });
   });
 
+  describe('calver', function () {
+    beforeEach(function () {
+      jest.useFakeTimers({
+        now: new Date('2024-05-10T12:00:00Z'),
+        advanceTimers: true,
+      });
+    });
+    afterEach(function () {
+      jest.useRealTimers();
+      unmock();
+    });
+
+    it('starts the month with the first calendar version', async function () {
+      mock({
+        bump: 'major',
+        testFiles: [{ path: 'package.json', value: { version: '2024.4.2' } }],
+      });
+      await exec({ versionScheme: 'calver' });
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '2024.5.0' });
+    });
+
+    it('increments the micro version of prereleases in the same month', async function () {
+      mock({
+        bump: 'patch',
+        testFiles: [{ path: 'package.json', value: { version: '2024.5.0' } }],
+      });
+      await exec('--version-scheme calver --prerelease rc');
+      verifyPackageVersion({
+        writeFileSyncSpy,
+        expectedVersion: '2024.5.1-rc.0',
+      });
+    });
+  });
+
+  describe('custom version schemes', function () {
+    afterEach(unmock);
+
+    it('bumps versions with a scheme loaded from a path', async function () {
+      mock({
+        bump: 'major',
+        testFiles: [{ path: 'package.json', value: { version: '41' } }],
+      });
+      await exec('--version-scheme ./test/mocks/version-scheme/sequential.js');
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '42' });
+    });
+
+    it('rejects schemes missing a method', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [{ path: 'package.json', value: { version: '1.0.0' } }],
+      });
+      await expect(
+        exec({ versionScheme: { parse: () => null, format: String } }),
+      ).rejects.toThrow(/missing compare, increment/);
+    });
+  });
+
+  describe('consistency check', function () {
+    afterEach(unmock);
+
+    function mockDriftedPom() {
+      mock({
+        bump: 'minor',
+        testFiles: [{ path: 'package.json', value: { version: '6.4.0' } }],
+        realTestFiles: [
+          { filename: 'pom.xml', path: './test/mocks/pom-6.3.1-lf.xml' },
+        ],
+      });
+    }
+
+    it('warns about bumpFiles that differ from the current version', async function () {
+      mockDriftedPom();
+      await exec({
+        bumpFiles: ['package.json', 'pom.xml'],
+        consistencyCheck: 'warn',
+      });
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /current version \(6\.4\.0\):\n {2}pom\.xml: 6\.3\.1/,
+        ),
+      );
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '6.5.0' });
+    });
+
+    it('aborts the release in strict mode', async function () {
+      mockDriftedPom();
+      await expect(
+        exec('--consistency-check strict --bumpFiles package.json pom.xml'),
+      ).rejects.toThrow(/pom\.xml: 6\.3\.1/);
+      expect(writeFileSyncSpy).not.toHaveBeenCalled();
+    });
+
+    it('accepts files that only record part of a prerelease version', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [{ path: 'package.json', value: { version: '6.3.1-rc.0' } }],
+        realTestFiles: [
+          {
+            filename: 'CMakeLists.txt',
+            path: './test/mocks/CMakeLists-6.3.1.txt',
+          },
+        ],
+      });
+      await exec({
+        bumpFiles: ['package.json', 'CMakeLists.txt'],
+        consistencyCheck: 'strict',
+        prerelease: 'rc',
+      });
+
+      verifyPackageVersion({
+        writeFileSyncSpy,
+        expectedVersion: '6.4.0-rc.0',
+      });
+    });
+  });
+
+  describe('skipped bumpFiles', function () {
+    afterEach(unmock);
+
+    const bumpFiles = [
+      'package.json',
+      'VERSION.txt',
+      'packages/*/Cargo.toml',
+      'version.yml',
+      'versions.cfg',
+    ];
+
+    function mockFiles() {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          { path: 'package.json', value: { version: '1.0.0' } },
+          { path: '.gitignore', value: 'VERSION.txt\n' },
+          { path: 'version.yml', value: 'name: mock\n' },
+        ],
+      });
+    }
+
+    it('reports the status of every bumpFile', async function () {
+      mockFiles();
+      const result = await exec({ bumpFiles });
+
+      expect(result).toEqual({
+        previousVersion: '1.0.0',
+        version: '1.1.0',
+        files: [
+          {
+            filename: 'package.json',
+            status: 'bumped',
+            from: '1.0.0',
+            to: '1.1.0',
+          },
+          { filename: 'VERSION.txt', status: 'gitignored' },
+          { filename: 'packages/*/Cargo.toml', status: 'missing' },
+          {
+            filename: 'version.yml',
+            status: 'failed',
+            error: expect.stringMatching(/version/),
+          },
+          {
+            filename: 'versions.cfg',
+            status: 'unresolved',
+            error: expect.stringMatching(/Unsupported file/),
+          },
+        ],
+      });
+      const output = stripAnsi(
+        consoleInfoSpy.mock.calls.map((args) => args.join(' ')).join('\n'),
+      );
+      expect(output).toContain('skipped packages/*/Cargo.toml (missing)');
+      expect(output).toContain(
+        'skipped versions.cfg (unresolved: Unsupported file (versions.cfg)',
+      );
+      expect(output).not.toContain('bower.json');
+    });
+
+    it('reports every skipped bumpFile once', async function () {
+      mockFiles();
+      await exec({ bumpFiles });
+
+      expect(consoleErrorSpy).not.toHaveBeenCalled();
+      const output = stripAnsi(
+        consoleInfoSpy.mock.calls.map((args) => args.join(' ')).join('\n'),
+      );
+      expect(output.match(/skipped version\.yml/g)).toHaveLength(1);
+      expect(output.match(/skipped versions\.cfg/g)).toHaveLength(1);
+    });
+
+    it('fails on skipped files with --fail-on-skipped-files', async function () {
+      mockFiles();
+      await expect(
+        exec({ bumpFiles, failOnSkippedFiles: true }),
+      ).rejects.toThrow(
+        'Failed to bump VERSION.txt (gitignored), packages/*/Cargo.toml (missing), version.yml (failed), versions.cfg (unresolved)',
+      );
+      expect(writeFileSyncSpy).not.toHaveBeenCalled();
+    });
+
+    it('does not report gitignored glob matches as skipped', async function () {
+      mock({
+        bump: 'minor',
+        testFiles: [
+          { path: 'package.json', value: { version: '6.3.1' } },
+          { path: '.gitignore', value: 'test/mocks/*.lock\n' },
+        ],
+      });
+      const result = await exec({
+        bumpFiles: [
+          'package.json',
+          { filename: 'test/mocks/Cargo-6.3.1.*', type: 'cargo' },
+          { filename: 'test/mocks/Cargo-two-crates-*', type: 'cargo' },
+        ],
+        failOnSkippedFiles: true,
+      });
+
+      expect(result.files).toEqual([
+        {
+          filename: 'package.json',
+          status: 'bumped',
+          from: '6.3.1',
+          to: '6.4.0',
+        },
+        {
+          filename: 'test/mocks/Cargo-6.3.1.toml',
+          status: 'bumped',
+          from: '6.3.1',
+          to: '6.4.0',
+        },
+      ]);
+    });
+  });
+
+  describe('Release-As footers', function () {
+    afterEach(unmock);
+
+    it('releases the version set by a commit footer', async function () {
+      mockCommits([
+        parsedCommit('fix: mock', 'Release-As: 2.0.0', '5e7c1f0a9b'),
+        parsedCommit('feat: mock', null, '9d3b2a17c4'),
+      ]);
+      await exec();
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '2.0.0' });
+      const output = stripAnsi(
+        consoleInfoSpy.mock.calls.map((args) => args.join(' ')).join('\n'),
+      );
+      expect(output).toContain(
+        'releasing 2.0.0 as set by the Release-As footer of 5e7c1f0',
+      );
+    });
+
+    it('reads the footers with schemes that have no release types', async function () {
+      mockCommits(
+        [parsedCommit('fix: mock', 'Release-As: 2026.10.5', '5e7c1f0a9b')],
+        '2026.10.1',
+      );
+      await exec({ versionScheme: 'calver' });
+      verifyPackageVersion({
+        writeFileSyncSpy,
+        expectedVersion: '2026.10.5',
+      });
+    });
+
+    it('fails on conflicting footers', async function () {
+      mockCommits([
+        parsedCommit('fix: mock', 'Release-As: 2.0.0', '5e7c1f0a9b'),
+        parsedCommit('feat: mock', 'Release-As: 1.5.0', '9d3b2a17c4'),
+      ]);
+      await expect(exec()).rejects.toThrow(
+        'Conflicting Release-As footers since the last release: 2.0.0 (5e7c1f0), 1.5.0 (9d3b2a1)',
+      );
+      expect(writeFileSyncSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bump rules', function () {
+    afterEach(unmock);
+
+    it('maps commit types and scopes to releases', async function () {
+      mockCommits([
+        parsedCommit('perf: mock'),
+        parsedCommit('docs: mock'),
+        parsedCommit('deps(security): mock'),
+      ]);
+      await exec({
+        bumpRules: {
+          perf: 'minor',
+          'deps(scope=security)': 'patch',
+          docs: 'none',
+        },
+      });
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.3.0' });
+    });
+
+    it('leaves breaking changes to the preset', async function () {
+      mockCommits([parsedCommit('perf!: mock'), parsedCommit('perf: mock')]);
+      await exec({ bumpRules: { perf: 'patch' } });
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '2.0.0' });
+    });
+
+    it('lets the whatBump hook override the recommendation', async function () {
+      mockCommits([parsedCommit('feat: mock')]);
+      const whatBump = jest.fn((commits, { recommended }) =>
+        commits.length === 1 && recommended.level === 1 ? { level: 2 } : null,
+      );
+      await exec({ whatBump });
+      expect(whatBump).toHaveBeenCalled();
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.2.4' });
+    });
+
+    it('keeps the recommendation when the whatBump hook returns null', async function () {
+      mockCommits([parsedCommit('feat: mock')]);
+      await exec({ whatBump: () => null });
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.3.0' });
+    });
+
+    it('rejects invalid levels from the whatBump hook', async function () {
+      mockCommits([parsedCommit('feat: mock')]);
+      await expect(exec({ whatBump: () => ({ level: 3 }) })).rejects.toThrow(
+        'whatBump returned an invalid level (3)',
+      );
+    });
+
+    it('rejects unknown releases', async function () {
+      mockCommits([parsedCommit('perf: mock')]);
+      await expect(exec({ bumpRules: { perf: 'big' } })).rejects.toThrow(
+        'Invalid release (big) for the perf bump rule',
+      );
+    });
+  });
+
+  describe('skip if no changes', function () {
+    afterEach(unmock);
+
+    it('skips the release when no commits would be released', async function () {
+      mockCommits([parsedCommit('chore: mock'), parsedCommit('docs: mock')]);
+      runExecFile.mockClear();
+      const result = await exec('--skip-if-no-changes');
+
+      expect(result).toEqual({
+        previousVersion: '1.2.3',
+        version: '1.2.3',
+        files: [],
+        skipped:
+          'none of the 2 commits since the last release (chore, docs) would appear in the changelog or call for a release',
+      });
+      expect(writeFileSyncSpy).not.toHaveBeenCalled();
+      expect(runExecFile).not.toHaveBeenCalled();
+      const output = stripAnsi(
+        consoleInfoSpy.mock.calls.map((args) => args.join(' ')).join('\n'),
+      );
+      expect(output).toContain('skipping release: none of the 2 commits');
+    });
+
+    it('asks the preset which commits appear in the changelog', async function () {
+      mockCommits([
+        parsedCommit('chore: mock'),
+        parsedCommit('perf(core): mock'),
+      ]);
+      const result = await exec({ skipIfNoChanges: true, preset: 'angular' });
+
+      expect(result.skipped).toBeUndefined();
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.2.4' });
+    });
+
+    it('releases commits that appear in the changelog or match a bump rule', async function () {
+      mockCommits([parsedCommit('chore: mock'), parsedCommit('perf: mock')]);
+      const result = await exec({
+        skipIfNoChanges: true,
+        bumpRules: { perf: 'patch' },
+      });
+
+      expect(result.skipped).toBeUndefined();
+      verifyPackageVersion({ writeFileSyncSpy, expectedVersion: '1.2.4' });
+    });
+  });
+
   describe('GHSL-2020-111', function () {
     afterEach(unmock);
 
@@ -1581,6 +3037,7 @@ describe('cli', function () {
 
     it('--sign signs the commit and tag', async function () {
       const gitArgs = [
+        ['rev-parse', 'HEAD'],
         ['add', 'CHANGELOG.md', 'package.json', 'package-lock.json'],
         [
           'commit',
@@ -1617,6 +3074,7 @@ describe('cli', function () {
 
     it('--signedoff adds signed-off-by to the commit message', async function () {
       const gitArgs = [
+        ['rev-parse', 'HEAD'],
         ['add', 'CHANGELOG.md', 'package.json', 'package-lock.json'],
         [
           'commit',
@@ -1653,6 +3111,7 @@ describe('cli', function () {
 
     it('--tag-force forces tag replacement', async function () {
       const gitArgs = [
+        ['rev-parse', 'HEAD'],
         ['add', 'CHANGELOG.md', 'package.json', 'package-lock.json'],
         [
           'commit',
@@ -1683,8 +3142,125 @@ describe('cli', function () {
       expect(gitArgs).toHaveLength(0);
     });
 
+    it('commits the Android `build.gradle` file along with the changelog', async function () {
+      const filename = 'android/app/build.gradle';
+      const gitArgs = [
+        ['rev-parse', 'HEAD'],
+        ['add', 'CHANGELOG.md', filename],
+        ['commit', 'CHANGELOG.md', filename, '-m', 'chore(release): 1.0.1'],
+        ['tag', '-a', 'v1.0.1', '-m', 'chore(release): 1.0.1'],
+        ['rev-parse', '--abbrev-ref', 'HEAD'],
+      ];
+
+      runExecFile.mockImplementation((_args, cmd, cmdArgs) => {
+        expect(cmd).toEqual('git');
+
+        const expected = gitArgs.shift();
+        expect(cmdArgs).toEqual(expected);
+
+        if (expected[0] === 'rev-parse') return Promise.resolve('master');
+
+        return Promise.resolve('');
+      });
+
+      mock({
+        bump: 'patch',
+        changelog: 'foo\n',
+        testFiles: [
+          {
+            path: filename,
+            value: 'versionCode 1\nversionName "1.0.0"\n',
+          },
+        ],
+      });
+
+      await exec(
+        {
+          packageFiles: [{ filename, type: 'android' }],
+          bumpFiles: [{ filename, type: 'android' }],
+        },
+        true,
+      );
+      expect(gitArgs).toHaveLength(0);
+    });
+
+    it('passes the release date, tag and commit to the updaters', async function () {
+      const expected = {
+        cff: fs.readFileSync('./test/mocks/CITATION-6.4.0.cff', 'utf-8'),
+        metainfo: fs.readFileSync('./test/mocks/metainfo-6.4.0.xml', 'utf-8'),
+      };
+      runExecFile.mockImplementation((_args, cmd, cmdArgs) => {
+        expect(cmd).toEqual('git');
+        expect(cmdArgs).toEqual(['rev-parse', 'HEAD']);
+        return Promise.resolve('4f2a9c1\n');
+      });
+      const updater = {
+        readVersion: (contents) => contents.trim(),
+        writeVersion: jest.fn((_contents, version) => `${version}\n`),
+      };
+      mock({
+        bump: 'minor',
+        testFiles: [
+          { path: 'package.json', value: { version: '6.3.1' } },
+          { path: 'RELEASE', value: '6.3.1\n' },
+        ],
+        realTestFiles: [
+          { filename: 'CITATION.cff', path: './test/mocks/CITATION-6.3.1.cff' },
+          {
+            filename: 'org.example.Mock.metainfo.xml',
+            path: './test/mocks/metainfo-6.3.1.xml',
+          },
+        ],
+      });
+
+      jest.useFakeTimers({
+        now: new Date('2024-05-01T12:00:00Z'),
+        advanceTimers: true,
+      });
+      try {
+        await exec({
+          bumpFiles: [
+            'package.json',
+            'CITATION.cff',
+            'org.example.Mock.metainfo.xml',
+            { filename: 'RELEASE', updater },
+          ],
+        });
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(updater.writeVersion).toHaveBeenCalledWith(
+        '6.3.1\n',
+        '6.4.0',
+        expect.objectContaining({ filename: 'RELEASE' }),
+        {
+          tag: 'v6.4.0',
+          date: '2024-05-01',
+          previousVersion: '6.3.1',
+          version: '6.4.0',
+          commit: '4f2a9c1',
+          versionScheme: expect.objectContaining({
+            increment: expect.any(Function),
+          }),
+          packages: [],
+        },
+      );
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected.cff,
+        filename: 'CITATION.cff',
+      });
+      verifyFileContentEquals({
+        writeFileSyncSpy,
+        content: expected.metainfo,
+        filename: 'org.example.Mock.metainfo.xml',
+      });
+    });
+
     it('fails if git add fails', async function () {
       const gitArgs = [
+        ['rev-parse', 'HEAD'],
         ['add', 'CHANGELOG.md', 'package.json', 'package-lock.json'],
       ];
       const gitError = new Error('Command failed: git\nfailed add');
@@ -1708,6 +3284,7 @@ describe('cli', function () {
 
     it('fails if git commit fails', async function () {
       const gitArgs = [
+        ['rev-parse', 'HEAD'],
         ['add', 'CHANGELOG.md', 'package.json', 'package-lock.json'],
         [
           'commit',
@@ -1739,6 +3316,7 @@ describe('cli', function () {
 
     it('fails if git tag fails', async function () {
       const gitArgs = [
+        ['rev-parse', 'HEAD'],
         ['add', 'CHANGELOG.md', 'package.json', 'package-lock.json'],
         [
           'commit',
@@ -1771,6 +3349,42 @@ describe('cli', function () {
   });
 
   // ------- Verifiers ------
+  /**
+   * Builds a commit as parsed by conventional-commits-parser.
+   */
+  function parsedCommit(header, footer = null, hash = '0123456789') {
+    const [, type, scope = null, subject] = /^(\w+)(?:\((.*)\))?!?: (.*)$/.exec(
+      header,
+    );
+    return {
+      header,
+      type,
+      scope,
+      subject,
+      notes: [],
+      references: [],
+      footer,
+      hash,
+    };
+  }
+
+  /**
+   * Recommends the release with the `whatBump` given to
+   * conventional-recommended-bump, for the given commits.
+   */
+  function mockCommits(commits, version = '1.2.3') {
+    mock({
+      bump: (opt, _parserOpts, cb) => {
+        const result = opt.config.recommendedBumpOpts.whatBump(commits, opt);
+        if (result && result.level != null) {
+          result.releaseType = ['major', 'minor', 'patch'][result.level];
+        }
+        cb(null, result || {});
+      },
+      testFiles: [{ path: 'package.json', value: { version } }],
+    });
+  }
+
   function findWriteFileCallForPath({ writeFileSyncSpy, filename }) {
     // filePath is the first arg passed to writeFileSync
     return writeFileSyncSpy.mock.calls.find((args) =>
@@ -272,6 +272,17 @@ describe('git', function () {
       const output = shell.exec('git tag');
       expect(output.stdout).toContain('v5.1.0');
     });
+
+    it('bases version on the greatest tag of a custom version scheme', async function () {
+      shell.rm('package.json');
+      ['v9', 'v12', 'v10'].forEach((tag) => shell.exec(`git tag ${tag}`));
+      mock({ bump: 'minor' });
+      await exec({
+        versionScheme: `${__dirname}/mocks/version-scheme/sequential.js`,
+      });
+      const output = shell.exec('git tag');
+      expect(output.stdout).toContain('v13');
+    });
   });
 
   describe('Run ... to publish', function () {
@@ -0,0 +1,8 @@
+using System.Reflection;
+using System.Runtime.InteropServices;
+
+[assembly: AssemblyTitle("MyLibrary")]
+[assembly: ComVisible(false)]
+[assembly: AssemblyVersion("6.4.0.0")]
+[assembly: AssemblyFileVersion("6.4.0.0")]
+[assembly: AssemblyInformationalVersion("6.4.0-rc.0")]
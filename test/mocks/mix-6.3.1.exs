@@ -0,0 +1,14 @@
+defmodule MyApp.MixProject do
+  use Mix.Project
+
+  @version "6.3.1"
+
+  def project do
+    [
+      app: :my_app,
+      version: @version,
+      elixir: "~> 1.14",
+      deps: [{:jason, "~> 1.4.0"}]
+    ]
+  end
+end
@@ -0,0 +1,5 @@
+"""Version information for my_sdk."""
+
+__all__ = ["__version__"]
+
+__version__ = '6.3.1'  # updated on release
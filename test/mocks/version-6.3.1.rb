@@ -0,0 +1,5 @@
+# frozen_string_literal: true
+
+module MyGem
+  VERSION = '6.3.1'.freeze
+end
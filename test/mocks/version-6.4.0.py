@@ -0,0 +1,5 @@
+"""Version information for my_sdk."""
+
+__all__ = ["__version__"]
+
+__version__ = '6.4.0'  # updated on release
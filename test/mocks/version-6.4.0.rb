@@ -0,0 +1,5 @@
+# frozen_string_literal: true
+
+module MyGem
+  VERSION = '6.4.0'.freeze
+end
@@ -0,0 +1,28 @@
+// Versions are a single release number (`41`, then `42`), tagged `v42`.
+module.exports.releaseTypes = [];
+
+module.exports.initialVersion = '0';
+
+module.exports.parse = function (version) {
+  if (!/^\d+$/.test(version)) return null;
+  return {
+    major: Number(version),
+    minor: 0,
+    patch: 0,
+    prerelease: [],
+    build: [],
+  };
+};
+
+module.exports.format = function ({ major }) {
+  return String(major);
+};
+
+module.exports.compare = function (a, b) {
+  return Number(a) - Number(b);
+};
+
+module.exports.increment = function (version, release) {
+  if (this.parse(release)) return release;
+  return String(Number(version) + 1);
+};
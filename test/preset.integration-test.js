@@ -54,3 +54,34 @@ describe('presets', function () {
     expect(content).not.toContain('### Custom');
   });
 });
+
+describe('custom version schemes', function () {
+  const versionScheme = `${__dirname}/mocks/version-scheme/sequential.js`;
+
+  beforeEach(function () {
+    setupTempGitRepo();
+    shell.exec('git tag v41');
+  });
+
+  afterEach(function () {
+    resetShell();
+  });
+
+  it('only lists the commits since the last tag', async function () {
+    shell.exec('git commit --allow-empty -m "fix: A fix after 41."');
+    await exec(`--version-scheme ${versionScheme}`);
+    const content = fs.readFileSync('CHANGELOG.md', 'utf-8');
+    expect(content).toMatch(/^#+ \[?42\b/m);
+    expect(content).toContain('A fix after 41.');
+    expect(content).not.toContain('A feature commit.');
+  });
+
+  it('skips the release if nothing changed since the last tag', async function () {
+    shell.exec('git commit --allow-empty -m "chore: A chore after 41."');
+    const result = await exec(
+      `--version-scheme ${versionScheme} --skip-if-no-changes`,
+    );
+    expect(result.skipped).toMatch(/none of the 1 commits/);
+    expect(fs.existsSync('CHANGELOG.md')).toBe(false);
+  });
+});